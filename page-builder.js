@@ -14,6 +14,15 @@ class PageBuilder {
     this.currentDocument = null;
     this.chartCounter = 0;
     this.sectionCounter = 0;
+    this.pendingCharts = [];
+    this.charts = new Map();
+    this.theme = null;
+    this.colorScheme = createColorScheme();
+    this.reportTitle = '';
+    this.printOptions = this.resolvePrintOptions();
+    this.numberFormat = null;
+    this.contentPolicy = null;
+    this.staticRender = false;  // Set by renderStaticReport()
   }
 
   /**
@@ -73,9 +82,25 @@ class PageBuilder {
       subtitle = '',
       includeDefaultStyles = true,
       containerClass = 'report-container',
-      targetContainer = null  // Allow specifying an existing container
+      targetContainer = null,  // Allow specifying an existing container
+      theme = null,            // Theme name or object - see registerTheme()
+      colors = {},             // { palette, overrides } - see setColorOverrides()
+      print = {},              // Print layout - see setPrintOptions()
+      locale = null,           // Number and date formatting - see setNumberFormat(); default en-US
+      currency = null,         // Default USD
+      numberFormat = {},       // { compactAxes, precision }
+      contentPolicy = 'sanitize' // Or 'escape', 'trusted' - see setContentPolicy()
     } = config;
 
+    this.setTheme(theme || this.theme || 'light');
+    this.colorScheme = createColorScheme(colors);
+    // Only settings given here replace those from an earlier setNumberFormat()
+    this.setNumberFormat({ ...(locale && { locale }), ...(currency && { currency }), ...numberFormat });
+    this.setContentPolicy(contentPolicy);
+    // Plain title for print headers and file names; only trusted titles can contain markup
+    this.reportTitle = this.contentPolicy.mode === 'trusted' ? String(title).replace(/<[^>]*>/g, '') : String(title);
+    this.printOptions = this.resolvePrintOptions(print);
+
     // Auto-detect common container patterns if no target specified
     let container = null;
     if (targetContainer) {
@@ -122,11 +147,13 @@ class PageBuilder {
       this.addDefaultStyles();
     }
 
+    container.setAttribute('data-theme', this.theme.name);
+
     // Create report structure inside the container
     container.innerHTML = `
       <header class="report-header">
-        <h1 class="report-title">${title}</h1>
-        ${subtitle ? `<p class="report-subtitle">${subtitle}</p>` : ''}
+        <h1 class="report-title">${this.escapeText(title)}</h1>
+        ${subtitle ? `<p class="report-subtitle">${this.escapeText(subtitle)}</p>` : ''}
       </header>
       <main class="report-content"></main>
     `;
@@ -137,10 +164,16 @@ class PageBuilder {
 
   /**
    * Add default CSS styles to the document
+   * Colors and fonts come from the current theme as --pb-* CSS variables
    */
   addDefaultStyles() {
+    const theme = this.theme || resolveTheme('light');
     const styles = `
-      <style>
+      <style id="page-builder-styles">
+        :root {
+          ${themeToCSSVariables(theme)}
+        }
+
         * {
           margin: 0;
           padding: 0;
@@ -148,23 +181,23 @@ class PageBuilder {
         }
 
         body {
-          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          font-family: var(--pb-font-body);
           line-height: 1.6;
-          color: #333;
-          background-color: #f5f5f5;
+          color: var(--pb-text);
+          background-color: var(--pb-page-background);
         }
 
         .report-container {
           max-width: 1200px;
           margin: 0 auto;
-          background: white;
-          box-shadow: 0 0 20px rgba(0,0,0,0.1);
+          background: var(--pb-surface);
+          box-shadow: var(--pb-shadow);
           min-height: 100vh;
         }
 
         .report-header {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
+          background: var(--pb-header-background);
+          color: var(--pb-header-text);
           padding: 2rem;
           text-align: center;
         }
@@ -189,53 +222,57 @@ class PageBuilder {
         }
 
         .section-header {
-          border-bottom: 3px solid #667eea;
+          border-bottom: 3px solid var(--pb-accent);
           padding-bottom: 0.5rem;
           margin-bottom: 1.5rem;
         }
 
         .section-title {
           font-size: 1.8rem;
-          color: #333;
+          color: var(--pb-text);
           font-weight: 600;
         }
 
         .section-subtitle {
           font-size: 1rem;
-          color: #666;
+          color: var(--pb-muted-text);
           margin-top: 0.25rem;
         }
 
         .chart-container {
-          height: 400px;
           margin: 20px 0;
-          border: 1px solid #ddd;
+          border: 1px solid var(--pb-border);
           border-radius: 8px;
           padding: 15px;
-          background: white;
-          box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+          background: var(--pb-surface);
+          box-shadow: var(--pb-card-shadow);
           position: relative;
         }
 
+        .chart-container [tabindex="0"]:focus-visible {
+          outline: 2px solid var(--pb-accent);
+          outline-offset: 2px;
+        }
+
         .executive-summary {
-          background: #f8f9fa;
-          border-left: 4px solid #28a745;
+          background: var(--pb-summary-background);
+          border-left: 4px solid var(--pb-summary-border);
           padding: 1.5rem;
           margin: 2rem 0;
           border-radius: 0 8px 8px 0;
         }
 
         .key-finding {
-          background: #fff3cd;
-          border-left: 4px solid #ffc107;
+          background: var(--pb-finding-background);
+          border-left: 4px solid var(--pb-finding-border);
           padding: 1rem;
           margin: 1rem 0;
           border-radius: 0 4px 4px 0;
         }
 
         .recommendation {
-          background: #d1ecf1;
-          border-left: 4px solid #17a2b8;
+          background: var(--pb-recommendation-background);
+          border-left: 4px solid var(--pb-recommendation-border);
           padding: 1rem;
           margin: 1rem 0;
           border-radius: 0 4px 4px 0;
@@ -243,7 +280,7 @@ class PageBuilder {
 
         .metric-highlight {
           font-weight: bold;
-          color: #007bff;
+          color: var(--pb-highlight);
         }
 
         .text-content {
@@ -252,6 +289,224 @@ class PageBuilder {
           margin-bottom: 1rem;
         }
 
+        .text-content p,
+        .text-content ul,
+        .text-content ol,
+        .text-content blockquote,
+        .text-content pre,
+        .text-content table {
+          margin-bottom: 0.75rem;
+        }
+
+        .text-content > :last-child {
+          margin-bottom: 0;
+        }
+
+        .text-content h3,
+        .text-content h4,
+        .text-content h5,
+        .text-content h6 {
+          margin: 1rem 0 0.5rem;
+          color: var(--pb-text);
+        }
+
+        .text-content > :first-child {
+          margin-top: 0;
+        }
+
+        .text-content ul,
+        .text-content ol {
+          padding-left: 1.5rem;
+        }
+
+        .text-content li > ul,
+        .text-content li > ol {
+          margin-bottom: 0;
+        }
+
+        .text-content a {
+          color: var(--pb-accent);
+        }
+
+        .text-content blockquote {
+          border-left: 3px solid var(--pb-border);
+          padding-left: 1rem;
+          color: var(--pb-muted-text);
+        }
+
+        .text-content code {
+          font-family: var(--pb-font-monospace);
+          font-size: 0.9em;
+        }
+
+        .text-content pre {
+          padding: 0.75rem 1rem;
+          border: 1px solid var(--pb-border);
+          border-radius: 4px;
+          overflow-x: auto;
+        }
+
+        .text-content table {
+          border-collapse: collapse;
+        }
+
+        .text-content th,
+        .text-content td {
+          padding: 0.35rem 0.75rem;
+          border-bottom: 1px solid var(--pb-border);
+          text-align: left;
+        }
+
+        .text-content hr {
+          border: none;
+          border-top: 1px solid var(--pb-border);
+          margin: 1rem 0;
+        }
+
+        .chart-container.kpi-row-container {
+          border: none;
+          padding: 0;
+          background: none;
+          box-shadow: none;
+        }
+
+        .metric-card {
+          display: inline-block;
+          vertical-align: top;
+          min-width: 180px;
+          margin: 0.5rem 1rem 0.5rem 0;
+          padding: 1rem 1.25rem;
+          border: 1px solid var(--pb-border);
+          border-radius: 8px;
+          background: var(--pb-surface);
+          box-shadow: var(--pb-card-shadow);
+        }
+
+        .metric-value {
+          font-size: 2rem;
+          font-weight: 600;
+          line-height: 1.2;
+          color: var(--pb-highlight);
+        }
+
+        .metric-label {
+          font-size: 0.9rem;
+          color: var(--pb-muted-text);
+        }
+
+        .metric-delta {
+          font-size: 0.85rem;
+          font-weight: 600;
+          margin-top: 0.25rem;
+        }
+
+        .metric-delta.delta-good {
+          color: var(--pb-positive);
+        }
+
+        .metric-delta.delta-bad {
+          color: var(--pb-negative);
+        }
+
+        .metric-delta.delta-neutral,
+        .metric-delta-label {
+          color: var(--pb-muted-text);
+          font-weight: normal;
+        }
+
+        .callout {
+          position: relative;
+          padding: 1rem 1rem 1rem 3rem;
+          margin: 1rem 0;
+          border-left: 4px solid;
+          border-radius: 0 4px 4px 0;
+        }
+
+        .callout::before {
+          position: absolute;
+          left: 1rem;
+          top: 1rem;
+          font-weight: bold;
+          line-height: 1.7;
+        }
+
+        .callout-info {
+          background: var(--pb-info-background);
+          border-color: var(--pb-info-border);
+        }
+
+        .callout-info::before {
+          content: 'ℹ';
+          color: var(--pb-info-border);
+        }
+
+        .callout-warning {
+          background: var(--pb-warning-background);
+          border-color: var(--pb-warning-border);
+        }
+
+        .callout-warning::before {
+          content: '⚠';
+          color: var(--pb-warning-border);
+        }
+
+        .callout-title {
+          font-weight: 600;
+          margin-bottom: 0.25rem;
+        }
+
+        .pull-quote {
+          margin: 2rem 0;
+          padding: 0 2rem;
+          border-left: 4px solid var(--pb-accent);
+        }
+
+        .pull-quote blockquote {
+          font-size: 1.4rem;
+          font-style: italic;
+          line-height: 1.5;
+        }
+
+        .pull-quote figcaption,
+        .content-figure figcaption {
+          margin-top: 0.5rem;
+          font-size: 0.9rem;
+          color: var(--pb-muted-text);
+        }
+
+        .pull-quote figcaption::before {
+          content: '— ';
+        }
+
+        .content-list ul,
+        .content-list ol {
+          margin-bottom: 0;
+        }
+
+        .content-list li + li {
+          margin-top: 0.25rem;
+        }
+
+        .content-list li > p {
+          margin-bottom: 0;
+        }
+
+        .content-figure {
+          margin: 1.5rem 0;
+          text-align: center;
+        }
+
+        .content-figure img {
+          max-width: 100%;
+          height: auto;
+        }
+
+        .content-divider {
+          border: none;
+          border-top: 1px solid var(--pb-border);
+          margin: 2rem 0;
+        }
+
         .content-grid {
           display: grid;
           grid-template-columns: 1fr 1fr;
@@ -272,13 +527,262 @@ class PageBuilder {
             margin: 0;
             box-shadow: none;
           }
+
+          .chart-container {
+            padding: 8px;
+          }
         }
+
+        ${this.buildPrintStyles()}
+        ${this.staticRender ? '' : this.buildPageMarginStyles()}
       </style>
     `;
 
+    // Replace styles from a previous document instead of stacking them
+    const existing = document.getElementById('page-builder-styles');
+    if (existing) {
+      existing.remove();
+    }
+
     document.head.insertAdjacentHTML('beforeend', styles);
   }
 
+  // =====================================================
+  // PRINT LAYOUT
+  // =====================================================
+
+  /**
+   * Print layout options with defaults filled in
+   */
+  resolvePrintOptions(options = {}) {
+    const defaults = {
+      pageSize: 'A4',          // CSS page size: 'A4', 'letter', 'legal' or explicit '210mm 297mm'
+      orientation: 'portrait', // 'portrait' or 'landscape'
+      margin: '20mm 15mm',
+      sectionBreaks: true,     // Start every section after the first on a new page
+      header: true,            // Repeat the report title at the top of each page, or a custom string
+      pageNumbers: true,       // "Page X of Y" at the bottom of each page
+    };
+    const resolved = { ...defaults, ...options };
+
+    // These end up inside the <style> element - anything but a CSS size or length falls back
+    const checks = {
+      pageSize: PRINT_PAGE_SIZE_PATTERN,
+      orientation: '^(?:portrait|landscape)$',
+      margin: PRINT_MARGIN_PATTERN
+    };
+    Object.entries(checks).forEach(([key, pattern]) => {
+      if (!new RegExp(pattern).test(String(resolved[key]))) {
+        console.warn(`PageBuilder: Invalid print ${key} ${JSON.stringify(resolved[key])} - using "${defaults[key]}"`);
+        resolved[key] = defaults[key];
+      }
+    });
+    return resolved;
+  }
+
+  /**
+   * Build the @page and @media print rules for the current print options
+   * Running headers and page numbers are separate - see buildPageMarginStyles()
+   */
+  buildPrintStyles() {
+    const {
+      pageSize,
+      orientation,
+      margin,
+      sectionBreaks
+    } = this.printOptions;
+
+    // Explicit sizes ('210mm 297mm') already fix the orientation
+    const keywordSize = PRINT_PAGE_SIZE_KEYWORD.test(pageSize);
+
+    return `
+        @page {
+          size: ${pageSize}${keywordSize ? ` ${orientation}` : ''};
+          margin: ${margin};
+        }
+
+        @media print {
+          html, body {
+            background: none;
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+          }
+
+          .report-container {
+            max-width: none;
+            margin: 0;
+            box-shadow: none;
+            min-height: 0;
+          }
+          ${sectionBreaks ? `
+          .section + .section {
+            break-before: page;
+          }` : ''}
+
+          .section-header,
+          .report-header,
+          h1, h2, h3, h4 {
+            break-after: avoid;
+          }
+
+          /* Never split a chart, callout or table row across pages */
+          .chart-container,
+          .executive-summary,
+          .key-finding,
+          .recommendation,
+          .metric-card,
+          .callout,
+          .pull-quote,
+          .content-figure,
+          .data-table tr,
+          svg {
+            break-inside: avoid;
+          }
+
+          /* Long tables may flow across pages, repeating their header row */
+          .chart-container:has(> .data-table) {
+            break-inside: auto;
+          }
+
+          .data-table thead {
+            display: table-header-group;
+          }
+
+          .chart-container {
+            box-shadow: none;
+          }
+
+          .content-divider.page-break {
+            break-after: page;
+            border: none;
+            margin: 0;
+          }
+
+          .chart-container svg {
+            max-width: 100%;
+            height: auto;
+          }
+
+          /* Interactive-only elements */
+          .chart-tooltip,
+          [id^="context-menu-"],
+          .chart-container button,
+          .data-table-filter,
+          .data-table-pager {
+            display: none !important;
+          }
+
+          /* Paged tables print every row */
+          tr.data-table-offpage {
+            display: table-row !important;
+          }
+        }`;
+  }
+
+  /**
+   * Running header and "Page X of Y" as CSS page margin boxes
+   * Kept out of buildPrintStyles() because older jsdom versions cannot parse margin boxes and
+   * drop the whole stylesheet - headless renders add them to the exported file only
+   */
+  buildPageMarginStyles() {
+    const theme = this.theme || resolveTheme('light');
+    const { header, pageNumbers } = this.printOptions;
+
+    const headerText = header === true ? this.reportTitle : (header || '');
+    if (!headerText && !pageNumbers) return '';
+    const marginBoxStyle = `font-family: ${theme.fonts.body}; font-size: 9pt; color: ${theme.report.mutedText};`;
+
+    return `
+        @page {
+          ${headerText ? `@top-center { content: ${toCSSString(headerText)}; ${marginBoxStyle} }` : ''}
+          ${pageNumbers ? `@bottom-right { content: "Page " counter(page) " of " counter(pages); ${marginBoxStyle} }` : ''}
+        }
+
+        /* The first page already shows the report header */
+        @page :first {
+          @top-center { content: none; }
+        }`;
+  }
+
+  /**
+   * Change the print layout and refresh the report stylesheet
+   * Options: pageSize, orientation, margin, sectionBreaks, header, pageNumbers
+   */
+  setPrintOptions(options = {}) {
+    this.printOptions = this.resolvePrintOptions({ ...this.printOptions, ...options });
+
+    if (document.getElementById('page-builder-styles')) {
+      this.addDefaultStyles();
+    }
+    return this.printOptions;
+  }
+
+  /**
+   * Open the browser print dialog once every chart has been drawn
+   * Choose "Save as PDF" for a board-ready document
+   */
+  async printReport() {
+    await this.whenChartsReady();
+    window.print();
+  }
+
+  // =====================================================
+  // THEMING
+  // =====================================================
+
+  /**
+   * Register a named theme for use with createDocument({ theme }) or reportData.theme
+   * Partial themes inherit from `extends` (default 'light'); built-ins: light, dark, highContrast
+   */
+  registerTheme(name, theme = {}) {
+    return defineTheme(name, theme);
+  }
+
+  /**
+   * Get a registered theme by name (or the current theme when no name is given)
+   */
+  getTheme(name = null) {
+    return name ? resolveTheme(name) : (this.theme || resolveTheme('light'));
+  }
+
+  /**
+   * Set the theme for subsequent charts and refresh the report stylesheet
+   * Charts that are already drawn keep their colors
+   */
+  setTheme(theme) {
+    this.theme = resolveTheme(theme);
+    activeTheme = this.theme;
+
+    // Assigned colors came from the previous palette
+    this.colorScheme.assignments.clear();
+
+    if (this.currentDocument) {
+      this.currentDocument.setAttribute('data-theme', this.theme.name);
+      if (document.getElementById('page-builder-styles')) {
+        this.addDefaultStyles();
+      }
+    }
+    return this.theme;
+  }
+
+  /**
+   * Pin colors to series/category labels for every chart in the report
+   * Values are colors or theme tokens ('primary', 'secondary', 'accent', 'muted'), e.g.
+   * { 'XYZ Credit Union': 'primary', 'Peer Average': 'muted' }
+   */
+  setColorOverrides(overrides = {}) {
+    Object.assign(this.colorScheme.overrides, overrides);
+    return this.colorScheme.overrides;
+  }
+
+  /**
+   * Colors assigned to labels so far in the current report
+   */
+  getColorAssignments() {
+    return Object.fromEntries(this.colorScheme.assignments);
+  }
+
+
   /**
    * Create a new section in the document
    */
@@ -298,8 +802,8 @@ class PageBuilder {
 
     section.innerHTML = `
       <div class="section-header">
-        <h2 class="section-title">${title}</h2>
-        ${subtitle ? `<p class="section-subtitle">${subtitle}</p>` : ''}
+        <h2 class="section-title">${this.escapeText(title)}</h2>
+        ${subtitle ? `<p class="section-subtitle">${this.escapeText(subtitle)}</p>` : ''}
       </div>
       <div class="section-content"></div>
     `;
@@ -337,7 +841,7 @@ class PageBuilder {
     if (title) {
       const titleElement = document.createElement('h3');
       titleElement.textContent = title;
-      titleElement.style.cssText = 'margin-bottom: 1rem; color: #333; text-align: center;';
+      titleElement.style.cssText = 'margin-bottom: 1rem; color: var(--pb-text, #333); text-align: center;';
       container.appendChild(titleElement);
     }
 
@@ -358,7 +862,7 @@ class PageBuilder {
     summary.className = 'executive-summary';
     summary.innerHTML = `
       <h3>Executive Summary</h3>
-      <div class="text-content">${content}</div>
+      <div class="text-content">${this.renderContent(content)}</div>
     `;
     parent.appendChild(summary);
     return summary;
@@ -368,21 +872,11 @@ class PageBuilder {
    * Add key finding box
    */
   addKeyFinding(content, parentSelector = '.section-content') {
-    // If parentSelector is specific (starts with #), use it directly
-    // Otherwise fall back to generic selectors
-    let parent = null;
-    if (parentSelector.startsWith('#') || parentSelector.includes('#')) {
-      parent = this.currentDocument.querySelector(parentSelector);
-    }
-    
-    if (!parent) {
-      parent = this.currentDocument.querySelector('.section-content') || 
-               this.currentDocument.querySelector('.report-content');
-    }
-    
+    const parent = this.resolveContentParent(parentSelector);
+
     const finding = document.createElement('div');
     finding.className = 'key-finding';
-    finding.innerHTML = `<div class="text-content">${content}</div>`;
+    finding.innerHTML = `<div class="text-content">${this.renderContent(content)}</div>`;
     parent.appendChild(finding);
     return finding;
   }
@@ -391,23 +885,16 @@ class PageBuilder {
    * Add recommendation box
    */
   addRecommendation(content, priority = '', parentSelector = '.section-content') {
-    // If parentSelector is specific (starts with #), use it directly
-    // Otherwise fall back to generic selectors
-    let parent = null;
-    if (parentSelector.startsWith('#') || parentSelector.includes('#')) {
-      parent = this.currentDocument.querySelector(parentSelector);
-    }
-    
-    if (!parent) {
-      parent = this.currentDocument.querySelector('.section-content') || 
-               this.currentDocument.querySelector('.report-content');
-    }
-    
+    const parent = this.resolveContentParent(parentSelector);
+
     const recommendation = document.createElement('div');
     recommendation.className = 'recommendation';
     
-    const priorityText = priority ? `<strong>${priority}:</strong> ` : '';
-    recommendation.innerHTML = `<div class="text-content">${priorityText}${content}</div>`;
+    const priorityText = priority ? `<strong>${this.escapeText(priority)}:</strong> ` : '';
+    const html = this.renderContent(content);
+    // Markdown starts with a paragraph; the priority leads into it
+    const body = priorityText && html.startsWith('<p>') ? `<p>${priorityText}${html.slice(3)}` : `${priorityText}${html}`;
+    recommendation.innerHTML = `<div class="text-content">${body}</div>`;
     parent.appendChild(recommendation);
     return recommendation;
   }
@@ -416,77 +903,324 @@ class PageBuilder {
    * Add regular text content
    */
   addTextContent(content, parentSelector = '.section-content') {
-    // If parentSelector is specific (starts with #), use it directly
-    // Otherwise fall back to generic selectors
-    let parent = null;
-    if (parentSelector.startsWith('#') || parentSelector.includes('#')) {
-      parent = this.currentDocument.querySelector(parentSelector);
-    }
-    
-    if (!parent) {
-      parent = this.currentDocument.querySelector('.section-content') || 
-               this.currentDocument.querySelector('.report-content');
-    }
-    
+    const parent = this.resolveContentParent(parentSelector);
+
     const textDiv = document.createElement('div');
     textDiv.className = 'text-content';
-    textDiv.innerHTML = content;
+    textDiv.innerHTML = this.renderContent(content);
     parent.appendChild(textDiv);
     return textDiv;
   }
 
   /**
-   * Create a two-column grid layout
+   * Element for content blocks: a specific (#id) selector, else the first section or the report body
    */
-  createContentGrid(parentSelector = '.section-content') {
-    // If parentSelector is specific (starts with #), use it directly
-    // Otherwise fall back to generic selectors
+  resolveContentParent(parentSelector) {
     let parent = null;
     if (parentSelector.startsWith('#') || parentSelector.includes('#')) {
       parent = this.currentDocument.querySelector(parentSelector);
     }
-    
+
     if (!parent) {
-      parent = this.currentDocument.querySelector('.section-content') || 
+      parent = this.currentDocument.querySelector('.section-content') ||
                this.currentDocument.querySelector('.report-content');
     }
-    
-    const grid = document.createElement('div');
-    grid.className = 'content-grid';
-    parent.appendChild(grid);
-    return grid;
+    return parent;
   }
 
-  // =====================================================
-  // CHART INTERFACE FUNCTIONS
-  // =====================================================
-
   /**
-   * Create multi-series bar chart with simplified interface
+   * Add a metric card: a big value, its label and an optional change vs. the prior period
+   * config: { value, label, valueType ('number', 'currency', 'percentage', 'decimal'), decimals, compact,
+   *           previous (prior-period value - percent change, or points for percentages) or delta with deltaType,
+   *           deltaLabel, higherIsBetter }
+   * Consecutive cards sit side by side
    */
-  async createMultiSeriesChart(config) {
-    await this.ensureInitialized();
-    
+  addMetricCard(config = {}, parentSelector = '.section-content') {
     const {
-      containerId,
-      title = '',
-      labels,
-      datasets,
-      yAxisTitle = 'Value',
-      parentSelector = '.section-content'
+      value,
+      label = '',
+      valueType = 'number',
+      decimals,
+      compact = false,
+      previous = null,
+      delta = null,
+      deltaType = valueType,
+      deltaLabel = 'vs. prior period',
+      higherIsBetter = true
     } = config;
 
-    const chartId = containerId || this.createChartContainer({ 
-      title, 
+    const formatted = typeof value === 'number' ?
+      escapeHTML(this.formatNumber(value, valueType, { decimals, compact })) :
+      this.escapeText(value === null || value === undefined ? '' : String(value));
+
+    // An explicit delta wins; otherwise compare with the prior-period value
+    const format = (number, type, options) => this.formatNumber(number, type, options);
+    const change = typeof delta === 'number' && !isNaN(delta) ?
+      { amount: format(Math.abs(delta), deltaType), ...metricTrend(delta, higherIsBetter) } :
+      describeMetricChange(value, previous, {
+        valueType,
+        higherIsBetter,
+        format,
+        pointDecimals: (this.numberFormat || resolveNumberFormat()).precision.percentage
+      });
+
+    let deltaHTML = '';
+    if (change) {
+      const comparison = deltaLabel ? ` <span class="metric-delta-label">${this.escapeText(deltaLabel)}</span>` : '';
+      deltaHTML = `
+        <div class="metric-delta delta-${change.direction} delta-${change.tone}">
+          <span aria-hidden="true">${change.arrow}</span><span style="${VISUALLY_HIDDEN_STYLE}">${change.spoken}</span> ${escapeHTML(change.amount)}${comparison}
+        </div>`;
+    }
+
+    const card = document.createElement('div');
+    card.className = 'metric-card';
+    card.innerHTML = `
+      <div class="metric-value">${formatted}</div>
+      ${label ? `<div class="metric-label">${this.escapeText(label)}</div>` : ''}${deltaHTML}
+    `;
+    this.resolveContentParent(parentSelector).appendChild(card);
+    return card;
+  }
+
+  /**
+   * Add an info or warning callout box with an optional title
+   */
+  addCallout(content, { variant = 'info', title = '' } = {}, parentSelector = '.section-content') {
+    if (!CALLOUT_VARIANTS.includes(variant)) {
+      throw new Error(`Unknown callout variant "${variant}". Supported variants: ${CALLOUT_VARIANTS.join(', ')}`);
+    }
+
+    const callout = document.createElement('aside');
+    callout.className = `callout callout-${variant}`;
+    callout.setAttribute('role', 'note');
+    callout.setAttribute('aria-label', variant === 'warning' ? 'Warning' : 'Note');
+    callout.innerHTML = `
+      ${title ? `<p class="callout-title">${this.escapeText(title)}</p>` : ''}
+      <div class="text-content">${this.renderContent(content)}</div>
+    `;
+    this.resolveContentParent(parentSelector).appendChild(callout);
+    return callout;
+  }
+
+  /**
+   * Add a pull quote, optionally attributed ("Member survey, 2024")
+   */
+  addQuote(content, { attribution = '' } = {}, parentSelector = '.section-content') {
+    const quote = document.createElement('figure');
+    quote.className = 'pull-quote';
+    quote.innerHTML = `
+      <blockquote class="text-content">${this.renderContent(content)}</blockquote>
+      ${attribution ? `<figcaption>${this.escapeText(attribution)}</figcaption>` : ''}
+    `;
+    this.resolveContentParent(parentSelector).appendChild(quote);
+    return quote;
+  }
+
+  /**
+   * Add a bulleted or numbered list
+   * Items are HTML strings or { text, format: 'html' | 'markdown' }
+   */
+  addList(items = [], { ordered = false, start = null } = {}, parentSelector = '.section-content') {
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttribute = ordered && Number.isInteger(start) && start !== 1 ? ` start="${start}"` : '';
+    const list = document.createElement('div');
+    list.className = 'text-content content-list';
+    list.innerHTML = `<${tag}${startAttribute}>${items.map(item => `<li>${this.renderContent(item)}</li>`).join('')}</${tag}>`;
+    this.resolveContentParent(parentSelector).appendChild(list);
+    return list;
+  }
+
+  /**
+   * Add an image with alt text and an optional caption
+   * The source must be relative, use an allowed scheme or be a data:image URL, unless the policy is 'trusted'
+   */
+  addImage({ src, alt = '', caption = '', width = null } = {}, parentSelector = '.section-content') {
+    const policy = this.contentPolicy || resolveContentPolicy();
+    const isImageData = /^data:image\/(?:png|jpe?g|gif|webp|svg\+xml)[;,]/i.test(String(src).trim());
+    if (!src || (policy.mode !== 'trusted' && !isImageData && !isSafeURL(src, policy.allowedSchemes))) {
+      console.warn(`PageBuilder: Image source "${String(src).slice(0, 60)}" is not allowed - image skipped`);
+      return null;
+    }
+
+    const figure = document.createElement('figure');
+    figure.className = 'content-figure';
+
+    const image = document.createElement('img');
+    image.src = src;
+    image.alt = alt;
+    if (width) {
+      image.style.width = typeof width === 'number' ? `${width}px` : width;
+    }
+    figure.appendChild(image);
+
+    if (caption) {
+      const figcaption = document.createElement('figcaption');
+      figcaption.innerHTML = this.escapeText(caption);
+      figure.appendChild(figcaption);
+    }
+
+    this.resolveContentParent(parentSelector).appendChild(figure);
+    return figure;
+  }
+
+  /**
+   * Add a divider line; pageBreak: true also starts a new page when printed
+   */
+  addDivider({ pageBreak = false } = {}, parentSelector = '.section-content') {
+    const divider = document.createElement('hr');
+    divider.className = pageBreak ? 'content-divider page-break' : 'content-divider';
+    this.resolveContentParent(parentSelector).appendChild(divider);
+    return divider;
+  }
+
+  /**
+   * Set how caller-supplied text is inserted into the report
+   * 'sanitize' (default) keeps safe formatting in content and escapes titles; 'escape' shows all text literally;
+   * 'trusted' inserts HTML as given. An object adds options: { mode, allowedTags, allowedClasses, allowedSchemes }
+   */
+  setContentPolicy(policy = 'sanitize') {
+    this.contentPolicy = resolveContentPolicy(policy);
+    return this.contentPolicy;
+  }
+
+  /**
+   * Rich content (summaries, findings, recommendations, text) as HTML under the content policy
+   */
+  sanitizeContent(content) {
+    const policy = this.contentPolicy || resolveContentPolicy();
+    if (policy.mode === 'trusted') return content;
+    if (policy.mode === 'escape') return escapeHTML(content);
+    return sanitizeHTML(content, policy);
+  }
+
+  /**
+   * Content as HTML for insertion: an HTML string, or { text, format: 'html' | 'markdown' }
+   * Markdown escapes any HTML in its source, so its output is not sanitized again; the 'escape'
+   * policy escapes Markdown source like any other content
+   */
+  renderContent(content) {
+    if (!content || typeof content !== 'object') {
+      return this.sanitizeContent(content);
+    }
+
+    const { text = '', format = 'html' } = content;
+    if (format !== 'html' && format !== 'markdown') {
+      throw new Error(`Unsupported content format "${format}". Supported formats: html, markdown`);
+    }
+    const policy = this.contentPolicy || resolveContentPolicy();
+    // The 'escape' policy shows Markdown source as text, like HTML
+    if (format === 'markdown' && policy.mode !== 'escape') {
+      return renderMarkdown(text, { schemes: policy.allowedSchemes });
+    }
+    return this.sanitizeContent(text);
+  }
+
+  /**
+   * Plain-text fields (titles, subtitles, priorities) as HTML; only the 'trusted' policy passes markup through
+   */
+  escapeText(text) {
+    const policy = this.contentPolicy || resolveContentPolicy();
+    return policy.mode === 'trusted' ? text : escapeHTML(text);
+  }
+
+  /**
+   * Create a two-column grid layout
+   */
+  createContentGrid(parentSelector = '.section-content') {
+    const parent = this.resolveContentParent(parentSelector);
+
+    const grid = document.createElement('div');
+    grid.className = 'content-grid';
+    parent.appendChild(grid);
+    return grid;
+  }
+
+  // =====================================================
+  // CHART INTERFACE FUNCTIONS
+  // =====================================================
+
+  /**
+   * Draw a chart into its container and resolve with the chart handle
+   * The promise settles once the SVG/table is in the DOM
+   */
+  renderChart(containerId, draw) {
+    // Chart functions read colors, fonts and number formats from the active theme, color scheme and locale
+    activeTheme = this.theme || resolveTheme('light');
+    activeColorScheme = this.colorScheme;
+    activeNumberFormat = this.numberFormat || resolveNumberFormat();
+
+    const pending = new Promise(resolve => resolve(draw()))
+      .then(handle => {
+        const chart = Object.assign(handle || {}, { containerId });
+        this.charts.set(containerId, chart);
+        return chart;
+      })
+      .catch(error => {
+        console.error(`Failed to draw chart "${containerId}":`, error);
+        throw error;
+      });
+
+    this.pendingCharts.push(pending.catch(() => null));
+    return pending;
+  }
+
+  /**
+   * Handle of a chart or table drawn by this builder, or null
+   */
+  getChart(containerId) {
+    return this.charts.get(containerId) || null;
+  }
+
+  /**
+   * Wait until every chart started so far has been drawn
+   */
+  async whenChartsReady() {
+    while (this.pendingCharts.length) {
+      const pending = this.pendingCharts;
+      this.pendingCharts = [];
+      await Promise.all(pending);
+    }
+  }
+
+  /**
+   * Create multi-series bar chart with simplified interface
+   */
+  async createMultiSeriesChart(config) {
+    await this.ensureInitialized();
+    
+    const {
+      containerId,
+      title = '',
+      labels,
+      datasets,
+      yAxisTitle = 'Value',
+      mode = 'grouped',
+      horizontal = false,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      parentSelector = '.section-content'
+    } = config;
+
+    const chartId = containerId || this.createChartContainer({ 
+      title, 
       parentSelector 
     });
 
-    // Wait a moment for DOM to update
-    setTimeout(() => {
-      createMultiSeriesBarChart(chartId, labels, datasets, { yAxisTitle });
-    }, 100);
-
-    return chartId;
+    return this.renderChart(chartId, () => createMultiSeriesBarChart(chartId, labels, datasets, {
+      yAxisTitle,
+      mode,
+      horizontal,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      accessibleTitle: title
+    }));
   }
 
   /**
@@ -502,6 +1236,11 @@ class PageBuilder {
       data,
       yAxisTitle = 'Percentage (%)',
       colorType = 'single',
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
       parentSelector = '.section-content'
     } = config;
 
@@ -510,14 +1249,16 @@ class PageBuilder {
       parentSelector 
     });
 
-    setTimeout(() => {
-      createPercentageBarChart(chartId, labels, data, { 
-        yAxisTitle, 
-        colorType 
-      });
-    }, 100);
-
-    return chartId;
+    return this.renderChart(chartId, () => createPercentageBarChart(chartId, labels, data, {
+      yAxisTitle,
+      colorType,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      accessibleTitle: title
+    }));
   }
 
   /**
@@ -532,6 +1273,11 @@ class PageBuilder {
       labels,
       data,
       yAxisTitle = 'Value',
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
       parentSelector = '.section-content'
     } = config;
 
@@ -540,11 +1286,15 @@ class PageBuilder {
       parentSelector 
     });
 
-    setTimeout(() => {
-      createMultiColorBarChart(chartId, labels, data, { yAxisTitle });
-    }, 100);
-
-    return chartId;
+    return this.renderChart(chartId, () => createMultiColorBarChart(chartId, labels, data, {
+      yAxisTitle,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      accessibleTitle: title
+    }));
   }
 
   /**
@@ -562,6 +1312,11 @@ class PageBuilder {
       label1 = 'Series 1',
       label2 = 'Series 2',
       yAxisTitle = 'Value',
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
       parentSelector = '.section-content'
     } = config;
 
@@ -570,15 +1325,17 @@ class PageBuilder {
       parentSelector 
     });
 
-    setTimeout(() => {
-      createComparisonBarChart(chartId, labels, dataset1, dataset2, {
-        label1,
-        label2,
-        yAxisTitle
-      });
-    }, 100);
-
-    return chartId;
+    return this.renderChart(chartId, () => createComparisonBarChart(chartId, labels, dataset1, dataset2, {
+      label1,
+      label2,
+      yAxisTitle,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      accessibleTitle: title
+    }));
   }
 
   /**
@@ -593,6 +1350,9 @@ class PageBuilder {
       labels,
       data,
       showLegend = true,
+      width,
+      height,
+      aspectRatio,
       parentSelector = '.section-content'
     } = config;
 
@@ -601,11 +1361,13 @@ class PageBuilder {
       parentSelector 
     });
 
-    setTimeout(() => {
-      createPieChart(chartId, labels, data, { showLegend });
-    }, 100);
-
-    return chartId;
+    return this.renderChart(chartId, () => createPieChart(chartId, labels, data, {
+      showLegend,
+      width,
+      height,
+      aspectRatio,
+      accessibleTitle: title
+    }));
   }
 
   /**
@@ -621,6 +1383,14 @@ class PageBuilder {
       data,
       headers = ['Metric', 'Value'],
       formatValue = null,
+      columns = null,
+      totals = false,
+      subtotals = false,
+      groupBy = null,
+      sortable = false,
+      filterable = false,
+      pageSize = null,
+      width,
       parentSelector = '.section-content'
     } = config;
 
@@ -629,15 +1399,19 @@ class PageBuilder {
       parentSelector 
     });
 
-    setTimeout(() => {
-      createDataTable(chartId, labels, data, {
-        title,
-        headers,
-        formatValue
-      });
-    }, 100);
-
-    return chartId;
+    return this.renderChart(chartId, () => createDataTable(chartId, labels, data, {
+      title,
+      headers,
+      formatValue,
+      columns,
+      totals,
+      subtotals,
+      groupBy,
+      sortable,
+      filterable,
+      pageSize,
+      width
+    }));
   }
 
   /**
@@ -653,6 +1427,11 @@ class PageBuilder {
       datasets,
       yAxisTitle = 'Assorted Variables',
       showOriginalValues = true,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
       parentSelector = '.section-content'
     } = config;
 
@@ -661,14 +1440,16 @@ class PageBuilder {
       parentSelector 
     });
 
-    setTimeout(() => {
-      createMultiScaleBarChart(chartId, labels, datasets, {
-        yAxisTitle,
-        showOriginalValues
-      });
-    }, 100);
-
-    return chartId;
+    return this.renderChart(chartId, () => createMultiScaleBarChart(chartId, labels, datasets, {
+      yAxisTitle,
+      showOriginalValues,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      accessibleTitle: title
+    }));
   }
 
   /**
@@ -685,6 +1466,9 @@ class PageBuilder {
       showLegend = true,
       cutout = '50%',
       centerTitle = '',
+      width,
+      height,
+      aspectRatio,
       parentSelector = '.section-content'
     } = config;
 
@@ -693,15 +1477,132 @@ class PageBuilder {
       parentSelector 
     });
 
-    setTimeout(() => {
-      createDoughnutChart(chartId, labels, data, {
-        showLegend,
-        cutout,
-        title: centerTitle
-      });
-    }, 100);
+    return this.renderChart(chartId, () => createDoughnutChart(chartId, labels, data, {
+      showLegend,
+      cutout,
+      title: centerTitle,
+      width,
+      height,
+      aspectRatio,
+      accessibleTitle: title
+    }));
+  }
+
+  /**
+   * Create line chart for time-series data
+   */
+  async createLineChart(config) {
+    await this.ensureInitialized();
+
+    const {
+      containerId,
+      title = '',
+      labels,
+      datasets,
+      yAxisTitle = 'Value',
+      xAxisTitle = '',
+      showMarkers = true,
+      curve = 'linear',
+      dateFormat = null,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      parentSelector = '.section-content'
+    } = config;
+
+    const chartId = containerId || this.createChartContainer({
+      title,
+      parentSelector
+    });
+
+    return this.renderChart(chartId, () => createLineChart(chartId, labels, datasets, {
+      yAxisTitle,
+      xAxisTitle,
+      showMarkers,
+      curve,
+      dateFormat,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      accessibleTitle: title
+    }));
+  }
+
+  /**
+   * Create area chart for time-series data (optionally stacked)
+   */
+  async createAreaChart(config) {
+    await this.ensureInitialized();
+
+    const {
+      containerId,
+      title = '',
+      labels,
+      datasets,
+      yAxisTitle = 'Value',
+      xAxisTitle = '',
+      showMarkers = false,
+      stacked = false,
+      curve = 'linear',
+      dateFormat = null,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      parentSelector = '.section-content'
+    } = config;
+
+    const chartId = containerId || this.createChartContainer({
+      title,
+      parentSelector
+    });
+
+    return this.renderChart(chartId, () => createAreaChart(chartId, labels, datasets, {
+      yAxisTitle,
+      xAxisTitle,
+      showMarkers,
+      stacked,
+      curve,
+      dateFormat,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      accessibleTitle: title
+    }));
+  }
+
+  /**
+   * Create a row of KPI tiles for the headline metrics of a section
+   * kpis: [{ label, value, valueType, previous, benchmark, trend, ... }] - see createKpiRow()
+   */
+  async createKpiRow(config) {
+    await this.ensureInitialized();
+
+    const {
+      containerId,
+      title = '',
+      kpis = [],
+      minTileWidth,
+      parentSelector = '.section-content'
+    } = config;
+
+    const chartId = containerId || this.createChartContainer({
+      title,
+      className: 'chart-container kpi-row-container',
+      parentSelector
+    });
 
-    return chartId;
+    return this.renderChart(chartId, () => createKpiRow(chartId, kpis, {
+      minTileWidth,
+      accessibleTitle: title
+    }));
   }
 
   // =====================================================
@@ -711,37 +1612,51 @@ class PageBuilder {
   /**
    * Format numbers with appropriate separators and decimals
    */
-  formatNumber(value, type = 'number') {
-    if (typeof value !== 'number') return value;
+  formatNumber(value, type = 'number', options = {}) {
+    return formatNumber(value, type, { ...(this.numberFormat || resolveNumberFormat()), ...options });
+  }
 
-    switch (type) {
-      case 'currency':
-        return new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD',
-          minimumFractionDigits: 0,
-          maximumFractionDigits: 0
-        }).format(value);
-      
-      case 'percentage':
-        return `${value.toFixed(1)}%`;
-      
-      case 'decimal':
-        return value.toFixed(2);
-      
-      default:
-        return value.toLocaleString();
-    }
+  /**
+   * Set the locale, currency and precision used by formatNumber, chart axes, tooltips,
+   * data labels and tables drawn afterwards
+   * Options: locale ('en-CA', 'fr-CA', 'es-PR'...), currency ('CAD', 'USD'...),
+   * compactAxes (15.8K, $1.2M on value axes) and precision ({ number, currency, percentage, decimal })
+   */
+  setNumberFormat(options = {}) {
+    this.numberFormat = resolveNumberFormat({ ...(this.numberFormat || {}), ...options });
+    return this.numberFormat;
   }
 
   /**
    * Highlight metrics in text content
    */
-  highlightMetric(value, type = 'number') {
-    const formatted = this.formatNumber(value, type);
+  highlightMetric(value, type = 'number', options = {}) {
+    const formatted = this.formatNumber(value, type, options);
     return `<span class="metric-highlight">${formatted}</span>`;
   }
 
+  /**
+   * Fill {{ path | filter }} variables in text from a data object, e.g.
+   * renderTemplate("{{share('35-54') | percent}} of members", { share: label => ... })
+   * format: 'html' (numbers highlighted), 'markdown' or 'text'
+   * Under the 'escape' content policy html and markdown output is plain text, since the policy escapes it
+   * Throws when a variable cannot be resolved
+   */
+  renderTemplate(text, data = {}, { format = 'html' } = {}) {
+    if (!['html', 'markdown', 'text'].includes(format)) {
+      throw new Error(`Unsupported template format "${format}". Supported formats: html, markdown, text`);
+    }
+    const policy = this.contentPolicy || resolveContentPolicy();
+    const result = renderTemplate(text, data, {
+      mode: format !== 'text' && policy.mode === 'escape' ? 'text' : format,
+      formatter: (value, type, options) => this.formatNumber(value, type, options)
+    });
+    if (result.errors.length) {
+      throw new Error(`Unresolved template variables:\n${result.errors.join('\n')}`);
+    }
+    return result.text;
+  }
+
   /**
    * Validate chart data
    */
@@ -772,6 +1687,207 @@ class PageBuilder {
     return document.documentElement.outerHTML;
   }
 
+  /**
+   * Export the current report as a standalone HTML page
+   * Same output as exportReport({ format: 'html' })
+   */
+  exportStaticHTML() {
+    return this.exportReport({ format: 'html' });
+  }
+
+  /**
+   * Export the current report as a self-contained file
+   * format 'html': only the report container, the theme stylesheet inlined and charts as static
+   * inline SVG, with interactive artifacts stripped - opens offline and is safe to email.
+   * Returns the HTML string; pass `filename` to also download it.
+   */
+  exportReport(options = {}) {
+    const {
+      format = 'html',
+      filename = null
+    } = options;
+
+    if (!this.currentDocument) {
+      throw new Error('No document to export - call createDocument() first');
+    }
+
+    switch (format) {
+      case 'html': {
+        const html = this.serializeReportHTML();
+        if (filename) {
+          downloadFile(html, filename, 'text/html;charset=utf-8');
+        }
+        return html;
+      }
+      default:
+        throw new Error(`Unsupported export format "${format}". Supported formats: html`);
+    }
+  }
+
+  /**
+   * Export one chart as an image once it has been drawn
+   * Options: format ('svg' | 'png' | 'jpeg'), scale, background, quality, output ('blob' | 'dataURL'), filename
+   */
+  async exportChart(containerId, options = {}) {
+    await this.whenChartsReady();
+    return exportChart(containerId, options);
+  }
+
+  /**
+   * Bundle every chart and table of the current report into one ZIP archive
+   * Each chart is saved as PNG and SVG, each table as CSV, named from section and chart titles,
+   * plus manifest.json describing every asset. Resolves with the ZIP Blob; pass `filename` to also download it.
+   */
+  async exportChartBundle(options = {}) {
+    const {
+      formats = ['png', 'svg'],
+      scale = 2,
+      background,
+      filename = null
+    } = options;
+
+    if (!this.currentDocument) {
+      throw new Error('No document to export - call createDocument() first');
+    }
+    const unsupported = formats.filter(format => !['svg', 'png', 'jpeg'].includes(format));
+    if (unsupported.length) {
+      throw new Error(`Unsupported chart image format "${unsupported[0]}". Supported formats: svg, png, jpeg`);
+    }
+
+    await this.whenChartsReady();
+
+    const files = [];
+    const assets = [];
+    const usedNames = new Set();
+    const uniqueName = (stem, extension) => {
+      let name = `${stem}.${extension}`;
+      for (let copy = 2; usedNames.has(name); copy++) {
+        name = `${stem}-${copy}.${extension}`;
+      }
+      usedNames.add(name);
+      return name;
+    };
+    const textOf = element => (element ? element.textContent.trim() : '');
+
+    const containers = Array.from(this.currentDocument.querySelectorAll('.chart-container'));
+    for (const container of containers) {
+      const svg = container.querySelector(':scope > svg');
+      const table = container.querySelector(':scope > table:not(.chart-data-table)');
+      if (!svg && !table) continue;
+
+      const section = container.closest('.section');
+      const sectionTitle = section ? textOf(section.querySelector('.section-title')) : '';
+      const title = svg
+        ? textOf(svg.querySelector(':scope > title')) || textOf(container.querySelector(':scope > h3'))
+        : textOf(container.querySelector(':scope > h4'));
+      const stem = [
+        String(assets.length + 1).padStart(2, '0'),
+        slugify(sectionTitle, 'report'),
+        slugify(title, container.id)
+      ].join('-');
+
+      const asset = { id: container.id, type: svg ? 'chart' : 'table', section: sectionTitle, title, files: [] };
+
+      if (svg) {
+        for (const format of formats) {
+          const blob = await renderChartImage(svg, { format, scale, background });
+          const name = uniqueName(stem, format === 'jpeg' ? 'jpg' : format);
+          files.push({ name, data: await blobToBytes(blob) });
+          asset.files.push({ name, format, ...(format === 'svg' ? {} : { scale }) });
+        }
+        asset.description = textOf(svg.querySelector(':scope > desc'));
+      } else {
+        // Raw values from the table handle; scraped cell text for tables not drawn by this builder
+        const handle = this.charts.get(container.id);
+        const rows = handle && handle.getData ? chartDataRows(handle.getData()) : tableElementRows(table);
+        const name = uniqueName(stem, 'csv');
+        // Byte-order mark as in the single-table download, so Excel reads UTF-8
+        files.push({ name, data: '\uFEFF' + toCSV(rows) });
+        asset.files.push({ name, format: 'csv' });
+        asset.columns = rows[0] || [];
+        asset.rows = Math.max(rows.length - 1, 0);
+      }
+
+      assets.push(asset);
+    }
+
+    const manifest = {
+      report: this.reportTitle,
+      createdAt: new Date().toISOString(),
+      assets
+    };
+    files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+    const zip = createZipArchive(files);
+    if (filename) {
+      downloadFile(zip, filename === true ? `${slugify(this.reportTitle, 'report')}-charts.zip` : filename);
+    }
+    return zip;
+  }
+
+  /**
+   * Standalone HTML page for the current report
+   */
+  serializeReportHTML() {
+    const copy = this.currentDocument.cloneNode(true);
+
+    // The page's CSP only allows data: images, so images travel inside the file
+    const liveImages = Array.from(this.currentDocument.querySelectorAll('img'));
+    Array.from(copy.querySelectorAll('img')).forEach((image, i) => {
+      const src = (image.getAttribute('src') || '').trim();
+      if (/^data:/i.test(src)) return;
+      const inlined = imageToDataURL(liveImages[i]);
+      if (inlined) {
+        image.setAttribute('src', inlined);
+      } else {
+        // Blocked by the CSP anyway - keep the alt text instead of a broken request
+        image.removeAttribute('src');
+        console.warn(`PageBuilder: Image "${src.slice(0, 60)}" could not be embedded and will not show ` +
+          'in the exported file - use a data: URL, or a same-origin or CORS-enabled image that has loaded');
+      }
+    });
+
+    const report = stripInteractiveArtifacts(copy);
+
+    // Theme CSS (including print rules); regenerated when the page has no report stylesheet
+    const styleElement = document.getElementById('page-builder-styles');
+    let styles = styleElement ? styleElement.outerHTML : '';
+    if (!styles) {
+      this.addDefaultStyles();
+      const generated = document.getElementById('page-builder-styles');
+      styles = generated.outerHTML;
+      generated.remove();
+    }
+    // Left out of the live stylesheet when rendered headless (see buildPageMarginStyles)
+    const marginStyles = this.staticRender ? this.buildPageMarginStyles() : '';
+    if (marginStyles) {
+      styles += `\n<style>${marginStyles}\n</style>`;
+    }
+
+    const titleElement = this.currentDocument.querySelector('.report-title');
+    const pageTitle = escapeHTML(titleElement ? titleElement.textContent : 'Report');
+    // Language of the report's locale (setNumberFormat / createDocument), e.g. fr-CA
+    const { locale } = this.numberFormat || resolveNumberFormat();
+    const language = escapeHTML(Intl.getCanonicalLocales(locale)[0]);
+
+    // Nothing may load from the network or run: inline styles and data: images only
+    const contentSecurityPolicy = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; font-src data:";
+
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${contentSecurityPolicy}">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${pageTitle}</title>
+${styles}
+</head>
+<body>
+${report.outerHTML}
+</body>
+</html>`;
+  }
+
   /**
    * Clear all content and reset counters
    */
@@ -781,445 +1897,3666 @@ class PageBuilder {
     }
     this.chartCounter = 0;
     this.sectionCounter = 0;
+    this.pendingCharts = [];
+    this.charts.clear();
   }
 }
 
 // =====================================================
-// COMPLETE BUILD ORCHESTRATION
+// REPORT SCHEMA AND VALIDATION
 // =====================================================
 
-/**
- * High-level function to create a complete demographics report
- */
-PageBuilder.prototype.buildDemographicsReport = async function(reportData, targetContainer = null) {
-  const {
-    title = 'Member Demographics Analysis',
-    subtitle = 'Comprehensive demographic insights and recommendations',
-    executiveSummary = '',
-    sections = []
-  } = reportData;
+// Callout box styles for addCallout() and { type: 'callout' } content
+const CALLOUT_VARIANTS = ['info', 'warning'];
 
-  // Initialize and create document structure
-  await this.ensureInitialized();
-  this.createDocument({ title, subtitle, targetContainer });
+// Print page sizes and margins are written into the stylesheet, so only CSS sizes and lengths pass
+const CSS_LENGTH = '(?:0|\\d*\\.?\\d+(?:mm|cm|in|pt|pc|px|Q))';
+const PRINT_PAGE_SIZE_KEYWORD = /^(?:A[3-5]|B[45]|JIS-B[45]|[Ll]etter|[Ll]egal|[Ll]edger)$/;
+const PRINT_PAGE_SIZE_PATTERN = `^(?:${PRINT_PAGE_SIZE_KEYWORD.source.slice(1, -1)}|${CSS_LENGTH}(?: ${CSS_LENGTH})?)$`;
+const PRINT_MARGIN_PATTERN = `^${CSS_LENGTH}(?: ${CSS_LENGTH}){0,3}$`;
 
-  // Add executive summary if provided
-  if (executiveSummary) {
-    this.addExecutiveSummary(executiveSummary);
+/**
+ * JSON Schema (draft-07) for the reportData object accepted by buildDemographicsReport
+ * Published as PageBuilder.REPORT_SCHEMA - serialize with JSON.stringify for external tooling
+ * Options that also take a callback (groupBy, column totals, axis formats) list the non-standard type 'function'
+ */
+const REPORT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'PageBuilder report definition',
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    subtitle: { type: 'string' },
+    executiveSummary: {
+      description: 'HTML string, or { text, format: "html" | "markdown" }',
+      type: ['string', 'object'],
+      allOf: [{ if: { type: 'object' }, then: { $ref: '#/definitions/formattedText' } }]
+    },
+    theme: {
+      description: 'Registered theme name or theme object',
+      type: ['string', 'object']
+    },
+    colors: {
+      type: 'object',
+      properties: {
+        palette: {
+          description: 'Palette name (default, okabeIto, tolBright, tolVibrant, ibm) or array of colors',
+          type: ['string', 'array'],
+          items: { type: 'string' }
+        },
+        overrides: {
+          description: 'Fixed colors or theme tokens keyed by series/category label',
+          type: 'object'
+        }
+      }
+    },
+    locale: {
+      description: 'BCP 47 locale for numbers and dates, e.g. en-US, en-CA, fr-CA, es-PR',
+      type: 'string'
+    },
+    currency: {
+      description: 'ISO 4217 currency code, e.g. USD, CAD',
+      type: 'string'
+    },
+    data: {
+      description: 'Values and functions for {{ }} template variables in report text',
+      type: 'object'
+    },
+    contentPolicy: {
+      description: 'How report text is inserted: sanitize (default), escape or trusted',
+      type: ['string', 'object'],
+      allOf: [
+        { if: { type: 'string' }, then: { enum: ['sanitize', 'escape', 'trusted'] } },
+        {
+          if: { type: 'object' },
+          then: {
+            properties: {
+              mode: { enum: ['sanitize', 'escape', 'trusted'] },
+              allowedTags: { type: 'array', items: { type: 'string' } },
+              allowedClasses: { type: 'array', items: { type: 'string' } },
+              allowedSchemes: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      ]
+    },
+    numberFormat: {
+      type: 'object',
+      properties: {
+        compactAxes: { type: 'boolean' },
+        precision: {
+          type: 'object',
+          properties: {
+            number: { type: 'integer', minimum: 0 },
+            currency: { type: 'integer', minimum: 0 },
+            percentage: { type: 'integer', minimum: 0 },
+            decimal: { type: 'integer', minimum: 0 }
+          }
+        }
+      }
+    },
+    print: {
+      type: 'object',
+      properties: {
+        pageSize: { type: 'string', pattern: PRINT_PAGE_SIZE_PATTERN },
+        orientation: { enum: ['portrait', 'landscape'] },
+        margin: { type: 'string', pattern: PRINT_MARGIN_PATTERN },
+        sectionBreaks: { type: 'boolean' },
+        header: { type: ['boolean', 'string'] },
+        pageNumbers: { type: 'boolean' }
+      }
+    },
+    sections: {
+      type: 'array',
+      items: { $ref: '#/definitions/section' }
+    }
+  },
+  definitions: {
+    section: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        subtitle: { type: 'string' },
+        charts: {
+          type: 'array',
+          items: { $ref: '#/definitions/chart' }
+        },
+        content: {
+          type: 'array',
+          items: { $ref: '#/definitions/contentItem' }
+        }
+      }
+    },
+    contentItem: {
+      type: 'object',
+      properties: {
+        type: { enum: ['text', 'finding', 'recommendation', 'metric', 'callout', 'quote', 'list', 'image', 'divider'] },
+        text: { type: 'string' },
+        format: { enum: ['html', 'markdown'] },
+        priority: { type: 'string' },
+        // metric
+        value: { type: ['number', 'string'] },
+        label: { type: 'string' },
+        valueType: { enum: ['number', 'currency', 'percent', 'percentage', 'decimal'] },
+        previous: { type: 'number' },
+        delta: { type: 'number' },
+        deltaType: { enum: ['number', 'currency', 'percentage', 'decimal'] },
+        deltaLabel: { type: 'string' },
+        higherIsBetter: { type: 'boolean' },
+        // callout, quote
+        variant: { enum: CALLOUT_VARIANTS },
+        title: { type: 'string' },
+        attribution: { type: 'string' },
+        // list
+        items: {
+          type: 'array',
+          items: {
+            type: ['string', 'object'],
+            allOf: [{ if: { type: 'object' }, then: { $ref: '#/definitions/formattedText' } }]
+          }
+        },
+        ordered: { type: 'boolean' },
+        start: { type: 'integer' },
+        // image
+        src: { type: 'string' },
+        alt: { type: 'string' },
+        caption: { type: 'string' },
+        // divider
+        pageBreak: { type: 'boolean' }
+      },
+      allOf: [
+        {
+          if: { properties: { type: { enum: ['text', 'finding', 'recommendation', 'callout', 'quote'] } } },
+          then: { required: ['text'] }
+        },
+        { if: { required: ['type'], properties: { type: { const: 'metric' } } }, then: { required: ['value'] } },
+        { if: { required: ['type'], properties: { type: { const: 'list' } } }, then: { required: ['items'] } },
+        { if: { required: ['type'], properties: { type: { const: 'image' } } }, then: { required: ['src', 'alt'] } }
+      ]
+    },
+    kpi: {
+      type: 'object',
+      required: ['label', 'value'],
+      properties: {
+        label: { type: 'string' },
+        value: { type: ['number', 'string', 'null'] },
+        valueType: { enum: ['number', 'currency', 'percent', 'percentage', 'decimal'] },
+        decimals: { type: 'integer' },
+        compact: { type: 'boolean' },
+        previous: { type: ['number', 'null'] },
+        previousLabel: { type: 'string' },
+        benchmark: { type: ['number', 'null'] },
+        benchmarkLabel: { type: 'string' },
+        higherIsBetter: { type: 'boolean' },
+        trend: { $ref: '#/definitions/values' }
+      }
+    },
+    formattedText: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: { type: 'string' },
+        format: { enum: ['html', 'markdown'] }
+      }
+    },
+    labels: {
+      type: 'array',
+      items: { type: ['string', 'number'] }
+    },
+    values: {
+      type: 'array',
+      items: { type: ['number', 'null'] }
+    },
+    dataset: {
+      type: 'object',
+      required: ['label', 'data'],
+      properties: {
+        label: { type: 'string' },
+        data: { $ref: '#/definitions/values' },
+        color: { type: 'string' }
+      }
+    },
+    datasets: {
+      type: 'array',
+      minItems: 1,
+      items: { $ref: '#/definitions/dataset' }
+    },
+    conditionalFormat: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: ['threshold', 'colorScale', 'icons', 'delta'] },
+        set: { enum: ['arrows', 'trafficLights'] },
+        invert: { type: 'boolean' }
+      }
+    },
+    tableColumn: {
+      type: 'object',
+      required: ['key'],
+      properties: {
+        key: { type: ['string', 'integer'] },
+        header: { type: 'string' },
+        type: { enum: ['text', 'number', 'currency', 'percent', 'percentage', 'decimal', 'sparkline', 'bar'] },
+        align: { enum: ['left', 'center', 'right'] },
+        valueType: { enum: ['number', 'currency', 'percent', 'percentage', 'decimal'] },
+        decimals: { type: 'integer', minimum: 0 },
+        compact: { type: 'boolean' },
+        width: { type: 'number' },
+        height: { type: 'number' },
+        color: { type: 'string' },
+        conditional: {
+          type: ['object', 'array'],
+          items: { $ref: '#/definitions/conditionalFormat' },
+          allOf: [{ if: { type: 'object' }, then: { $ref: '#/definitions/conditionalFormat' } }]
+        },
+        total: {
+          type: ['boolean', 'string', 'function'],
+          allOf: [{ if: { type: ['boolean', 'string'] }, then: { enum: [false, 'sum', 'average', 'min', 'max', 'count'] } }]
+        }
+      }
+    },
+    valueAxis: {
+      type: 'object',
+      properties: {
+        format: {
+          type: ['string', 'function'],
+          allOf: [{ if: { type: 'string' }, then: { enum: ['number', 'currency', 'percent', 'percentage', 'decimal', 'compact'] } }]
+        },
+        decimals: { type: 'integer', minimum: 0 },
+        compact: { type: 'boolean' },
+        scale: { enum: ['linear', 'log'] },
+        min: { type: 'number' },
+        max: { type: 'number' },
+        ticks: { type: 'integer', minimum: 1 },
+        gridlines: { type: 'boolean' }
+      }
+    },
+    categoryAxis: {
+      type: 'object',
+      properties: {
+        labelRotation: {
+          type: ['number', 'string'],
+          allOf: [{ if: { type: 'string' }, then: { enum: ['auto'] } }]
+        },
+        wrap: { type: ['boolean', 'number'] },
+        maxLines: { type: 'integer', minimum: 1 },
+        maxLabelLength: { type: 'integer', minimum: 2 }
+      }
+    },
+    chart: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: {
+          enum: ['multiSeries', 'percentage', 'multiColor', 'comparison', 'pie',
+                 'table', 'multiScale', 'doughnut', 'line', 'area', 'kpis']
+        },
+        title: { type: 'string' },
+        yAxisTitle: { type: 'string' },
+        width: { type: 'number' },
+        height: { type: 'number' },
+        aspectRatio: { type: 'number' },
+        xAxis: { $ref: '#/definitions/categoryAxis' },
+        yAxis: { $ref: '#/definitions/valueAxis' }
+      },
+      allOf: [
+        {
+          if: { properties: { type: { const: 'multiSeries' } } },
+          then: {
+            required: ['labels', 'datasets'],
+            properties: {
+              labels: { $ref: '#/definitions/labels' },
+              datasets: { $ref: '#/definitions/datasets' },
+              mode: { enum: ['grouped', 'stacked', 'normalized'] },
+              horizontal: { type: 'boolean' }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { enum: ['percentage', 'multiColor', 'pie', 'doughnut'] } } },
+          then: {
+            required: ['labels', 'data'],
+            properties: {
+              labels: { $ref: '#/definitions/labels' },
+              data: { $ref: '#/definitions/values' }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { const: 'kpis' } } },
+          then: {
+            required: ['kpis'],
+            properties: {
+              kpis: { type: 'array', minItems: 1, items: { $ref: '#/definitions/kpi' } },
+              minTileWidth: { type: 'number' }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { const: 'percentage' } } },
+          then: {
+            properties: {
+              colorType: { enum: ['single', 'multi'] }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { enum: ['pie', 'doughnut'] } } },
+          then: {
+            properties: {
+              showLegend: { type: 'boolean' },
+              cutout: { type: 'string' },
+              centerTitle: { type: 'string' }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { const: 'comparison' } } },
+          then: {
+            required: ['labels', 'dataset1', 'dataset2'],
+            properties: {
+              labels: { $ref: '#/definitions/labels' },
+              dataset1: { $ref: '#/definitions/values' },
+              dataset2: { $ref: '#/definitions/values' },
+              label1: { type: 'string' },
+              label2: { type: 'string' }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { const: 'table' } } },
+          then: {
+            required: ['data'],
+            properties: {
+              labels: { $ref: '#/definitions/labels' },
+              data: { type: 'array' },
+              headers: {
+                type: 'array',
+                items: { type: 'string' }
+              },
+              columns: {
+                type: 'array',
+                minItems: 1,
+                items: { $ref: '#/definitions/tableColumn' }
+              },
+              totals: { type: ['boolean', 'object'] },
+              subtotals: { type: ['boolean', 'object'] },
+              groupBy: { type: ['string', 'function'] },
+              sortable: { type: 'boolean' },
+              filterable: { type: 'boolean' },
+              pageSize: { type: 'integer', minimum: 1 }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { const: 'multiScale' } } },
+          then: {
+            required: ['labels', 'datasets'],
+            properties: {
+              labels: { $ref: '#/definitions/labels' },
+              datasets: { $ref: '#/definitions/datasets' },
+              showOriginalValues: { type: 'boolean' }
+            }
+          }
+        },
+        {
+          if: { properties: { type: { enum: ['line', 'area'] } } },
+          then: {
+            required: ['labels', 'datasets'],
+            properties: {
+              labels: { $ref: '#/definitions/labels' },
+              datasets: { $ref: '#/definitions/datasets' },
+              xAxisTitle: { type: 'string' },
+              showMarkers: { type: 'boolean' },
+              stacked: { type: 'boolean' },
+              curve: { enum: ['linear', 'monotone', 'step'] },
+              dateFormat: { type: 'string' }
+            }
+          }
+        }
+      ]
+    }
   }
+};
 
-  // Process each section
-  for (const sectionData of sections) {
-    const section = this.createSection({
-      title: sectionData.title,
-      subtitle: sectionData.subtitle
+/**
+ * Validate a value against the subset of JSON Schema used by REPORT_SCHEMA
+ * Supports type, enum, const, required, properties, items, minItems, $ref, allOf and if/then
+ */
+function validateAgainstSchema(value, schema, path, errors, root = schema) {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/')
+      .reduce((node, key) => node[key], root);
+    return validateAgainstSchema(value, target, path, errors, root);
+  }
+
+  const startCount = errors.length;
+  const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = value === null ? 'null' :
+                   Array.isArray(value) ? 'array' :
+                   Number.isNaN(value) ? 'NaN' :
+                   typeof value;
+    const matches = types.some(type =>
+      type === actual || (type === 'integer' && Number.isInteger(value)));
+    if (!matches) {
+      fail('type', `must be ${types.join(' or ')}, got ${actual}`);
+      return false;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail('minimum', `must be at least ${schema.minimum}, got ${value}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail('pattern', `must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        fail('required', `missing required property "${key}"`);
+      }
     });
 
-    // Add charts
-    if (sectionData.charts) {
-      for (const chartConfig of sectionData.charts) {
-        chartConfig.parentSelector = `#${section.id} .section-content`;
-        
-        switch (chartConfig.type) {
-          case 'multiSeries':
-            await this.createMultiSeriesChart(chartConfig);
-            break;
-          case 'percentage':
-            await this.createPercentageChart(chartConfig);
-            break;
-          case 'multiColor':
-            await this.createMultiColorChart(chartConfig);
-            break;
-          case 'comparison':
-            await this.createComparisonChart(chartConfig);
-            break;
-          case 'pie':
-            await this.createPieChart(chartConfig);
-            break;
-          case 'table':
-            await this.createDataTable(chartConfig);
-            break;
-          case 'multiScale':
-            await this.createMultiScaleChart(chartConfig);
-            break;
-          case 'doughnut':
-            await this.createDoughnutChart(chartConfig);
-            break;
-        }
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        validateAgainstSchema(value[key], propertySchema, path ? `${path}.${key}` : key, errors, root);
       }
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must contain at least ${schema.minItems} item(s)`);
     }
+    if (schema.items) {
+      value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`, errors, root));
+    }
+  }
 
-    // Add text content
-    if (sectionData.content) {
-      sectionData.content.forEach(content => {
-        const targetSelector = `#${section.id} .section-content`;
-        
-        switch (content.type) {
-          case 'finding':
-            this.addKeyFinding(content.text, targetSelector);
-            break;
-          case 'recommendation':
-            this.addRecommendation(content.text, content.priority, targetSelector);
-            break;
-          default:
-            this.addTextContent(content.text, targetSelector);
-        }
+  (schema.allOf || []).forEach(subSchema => {
+    validateAgainstSchema(value, subSchema, path, errors, root);
+  });
+
+  if (schema.if && schema.then && validateAgainstSchema(value, schema.if, path, [], root)) {
+    validateAgainstSchema(value, schema.then, path, errors, root);
+  }
+
+  return errors.length === startCount;
+}
+
+/**
+ * Cross-field checks JSON Schema cannot express - data lengths must match labels
+ */
+function validateChartLengths(chart, path, errors) {
+  if (!Array.isArray(chart.labels)) return;
+
+  const expected = chart.labels.length;
+  const check = (data, dataPath) => {
+    if (Array.isArray(data) && data.length !== expected) {
+      errors.push({
+        path: dataPath,
+        keyword: 'length',
+        message: `has ${data.length} value(s) but labels has ${expected}`
       });
     }
+  };
+
+  if (Array.isArray(chart.datasets)) {
+    chart.datasets.forEach((dataset, i) => {
+      if (dataset) check(dataset.data, `${path}.datasets[${i}].data`);
+    });
+  }
+  if (chart.type === 'comparison') {
+    check(chart.dataset1, `${path}.dataset1`);
+    check(chart.dataset2, `${path}.dataset2`);
+  }
+  if (Array.isArray(chart.data) && !(chart.type === 'table' && chart.data.some(row => row && typeof row === 'object'))) {
+    check(chart.data, `${path}.data`);
   }
+}
 
-  return this.currentDocument;
+/**
+ * Validate a report definition against REPORT_SCHEMA
+ * Returns { valid, errors } where each error is { path, keyword, message }
+ * e.g. { path: 'sections[2].charts[0].datasets[1].data', keyword: 'length', message: '...' }
+ */
+PageBuilder.prototype.validateReport = function(reportData) {
+  const errors = validateReportStructure(reportData);
+
+  // Evaluates the template variables, calling any functions in reportData.data
+  if (reportData && typeof reportData === 'object') {
+    errors.push(...resolveReportTemplates(reportData).errors);
+  }
+
+  return { valid: errors.length === 0, errors };
 };
 
+/**
+ * Schema and label/data length errors of a report definition (everything but template variables)
+ */
+function validateReportStructure(reportData) {
+  const errors = [];
+  validateAgainstSchema(reportData, REPORT_SCHEMA, '', errors);
+
+  if (reportData && Array.isArray(reportData.sections)) {
+    reportData.sections.forEach((section, s) => {
+      if (section && Array.isArray(section.charts)) {
+        section.charts.forEach((chart, c) => {
+          if (chart && typeof chart === 'object') {
+            validateChartLengths(chart, `sections[${s}].charts[${c}]`, errors);
+          }
+        });
+      }
+    });
+  }
+
+  return errors;
+}
+
+PageBuilder.REPORT_SCHEMA = REPORT_SCHEMA;
+
 // =====================================================
-// GLOBAL INSTANCE AND SIMPLE INTERFACE
+// HTML SANITIZATION
 // =====================================================
 
-// Create global instance
-window.pageBuilder = new PageBuilder();
-
-// Expose simple functions for basic usage
-window.initPageBuilder = () => window.pageBuilder.initialize();
-window.createDocument = (config) => window.pageBuilder.createDocument(config);
-window.createSection = (config) => window.pageBuilder.createSection(config);
-window.addChart = async (type, config) => {
-  switch (type) {
-    case 'multiSeries':
-      return await window.pageBuilder.createMultiSeriesChart(config);
-    case 'percentage':
-      return await window.pageBuilder.createPercentageChart(config);
-    case 'multiColor':
-      return await window.pageBuilder.createMultiColorChart(config);
-    case 'comparison':
-      return await window.pageBuilder.createComparisonChart(config);
-    case 'pie':
-      return await window.pageBuilder.createPieChart(config);
-    case 'table':
-      return await window.pageBuilder.createDataTable(config);
-    case 'multiScale':
-      return await window.pageBuilder.createMultiScaleChart(config);
-    case 'doughnut':
-      return await window.pageBuilder.createDoughnutChart(config);
-  }
+/**
+ * Content policies for caller-supplied report text
+ * - 'sanitize' (default): rich content keeps an allow-list of tags, attributes and classes;
+ *   titles, labels and priorities are escaped
+ * - 'escape': rich content is shown as plain text too
+ * - 'trusted': no sanitizing or escaping - only for HTML you control
+ */
+const CONTENT_POLICY_MODES = ['sanitize', 'escape', 'trusted'];
+
+const DEFAULT_CONTENT_POLICY = {
+  mode: 'sanitize',
+  allowedTags: [
+    'p', 'br', 'div', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark',
+    'small', 'sub', 'sup', 'abbr', 'code', 'pre', 'blockquote', 'hr',
+    'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'a',
+    'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+  ],
+  allowedClasses: ['metric-highlight'],
+  allowedSchemes: ['http', 'https', 'mailto', 'tel']
 };
 
-// Export for module systems
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = PageBuilder;
+// Attributes kept on allowed tags, besides class
+const ALLOWED_ATTRIBUTES = {
+  '*': ['title', 'lang', 'dir'],
+  a: ['href', 'target'],
+  ol: ['start', 'reversed'],
+  th: ['colspan', 'rowspan', 'scope'],
+  td: ['colspan', 'rowspan']
+};
+
+// Removed together with their content; any other tag outside the allow-list is unwrapped
+const DROPPED_TAGS = [
+  'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'noembed', 'svg', 'math', 'form', 'input', 'button', 'select', 'option', 'textarea',
+  'link', 'meta', 'base', 'title', 'head', 'audio', 'video', 'canvas'
+];
+
+function resolveContentPolicy(policy = {}) {
+  const options = typeof policy === 'string' ? { mode: policy } : (policy || {});
+  const resolved = { ...DEFAULT_CONTENT_POLICY, ...options };
+
+  if (!CONTENT_POLICY_MODES.includes(resolved.mode)) {
+    throw new Error(`Unknown content policy "${resolved.mode}". Supported policies: ${CONTENT_POLICY_MODES.join(', ')}`);
+  }
+  return resolved;
+}
+
+function escapeHTML(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Reduce an HTML string to the policy's allow-list
+ * Parsed in an inert <template>, so nothing loads or runs while sanitizing
+ */
+function sanitizeHTML(html, policy = DEFAULT_CONTENT_POLICY) {
+  const template = document.createElement('template');
+  template.innerHTML = String(html === null || html === undefined ? '' : html);
+  sanitizeChildren(template.content, policy);
+  return template.innerHTML;
+}
+
+function sanitizeChildren(parent, policy) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === 3) return; // Text
+
+    if (node.nodeType !== 1) {
+      node.remove(); // Comments, processing instructions
+      return;
+    }
+
+    const tag = node.localName;
+    const isHTML = node.namespaceURI === 'http://www.w3.org/1999/xhtml';
+    if (!isHTML || DROPPED_TAGS.includes(tag)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node, policy);
+    if (!policy.allowedTags.includes(tag)) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+    sanitizeAttributes(node, tag, policy);
+  });
+}
+
+function sanitizeAttributes(element, tag, policy) {
+  const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    if (name === 'class') {
+      const classes = value.split(/\s+/).filter(c => policy.allowedClasses.includes(c));
+      if (classes.length) {
+        element.setAttribute('class', classes.join(' '));
+      } else {
+        element.removeAttribute('class');
+      }
+    } else if (!allowed.includes(name)) {
+      element.removeAttribute(name);
+    } else if (name === 'href' && !isSafeURL(value, policy.allowedSchemes)) {
+      element.removeAttribute(name);
+    }
+  });
+
+  // Links opening a new tab get no handle on the report window
+  if (tag === 'a' && element.hasAttribute('target')) {
+    if (element.getAttribute('target') === '_blank') {
+      element.setAttribute('rel', 'noopener noreferrer');
+    } else {
+      element.removeAttribute('target');
+    }
+  }
+}
+
+// Relative URLs and fragments are safe; absolute ones need an allowed scheme
+function isSafeURL(url, schemes) {
+  const scheme = urlScheme(url);
+  return !scheme || schemes.includes(scheme);
+}
+
+// Lowercase scheme of a URL as browsers read it (spaces and control characters ignored), or null
+function urlScheme(url) {
+  const normalized = String(url).replace(/[\u0000-\u0020\u007F]/g, '');
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+  return scheme ? scheme[1].toLowerCase() : null;
 }
 
 // =====================================================
-// EMBEDDED D3 CHART FUNCTIONS LIBRARY
+// MARKDOWN
 // =====================================================
 
 /**
- * D3.js Chart Functions Library v1.0 - Development Version
- * Provides reusable chart functions with automatic color assignment
- * Compatible with D3.js v7+
- * Embedded in PageBuilder for single-file convenience
+ * Render report Markdown to HTML
+ * Supports headings (# is h3 ... #### is h6, below the report's section titles), paragraphs, bulleted and
+ * numbered lists (nested by indentation), **bold**, *italic*, ~~strikethrough~~, `code`, fenced code,
+ * [links](url), block quotes, --- rules, pipe tables and ==42%== for metric highlights.
+ * Raw HTML in the source is escaped, and links must use one of `schemes` (or be relative).
  */
+function renderMarkdown(source, { schemes = DEFAULT_CONTENT_POLICY.allowedSchemes } = {}) {
+  const lines = String(source === null || source === undefined ? '' : source)
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u0000/g, '')
+    .split('\n');
+  return renderMarkdownBlocks(lines, { schemes }).join('\n');
+}
 
-// Chart copy functionality
-function addCopyButton(svg, containerId) {
-  const container = d3.select(`#${containerId}`);
-  
-  // Add copy button to container
-  const copyButton = container
-    .insert('div', ':first-child')
-    .style('position', 'absolute')
-    .style('top', '10px')
-    .style('right', '10px')
-    .style('z-index', 1000)
-    .append('button')
-    .style('background', '#007bff')
-    .style('color', 'white')
-    .style('border', 'none')
-    .style('padding', '8px 12px')
-    .style('border-radius', '4px')
-    .style('cursor', 'pointer')
-    .style('font-size', '12px')
-    .style('box-shadow', '0 2px 4px rgba(0,0,0,0.2)')
-    .text('📋 Copy Chart')
-    .on('mouseover', function() {
-      d3.select(this).style('background', '#0056b3');
-    })
-    .on('mouseout', function() {
-      d3.select(this).style('background', '#007bff');
-    })
-    .on('click', function() {
-      copyChartToClipboard(svg.node(), this);
-    });
-  
-  // Set container position relative for absolute positioning
-  container.style('position', 'relative');
-  
-  return copyButton;
+const MARKDOWN_LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?: +(.*))?$/;
+const MARKDOWN_TABLE_DIVIDER = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+
+function isMarkdownBlockStart(line, next) {
+  return /^ {0,3}(#{1,6} |```|~~~|>)/.test(line) ||
+         /^ {0,3}([-*_])( *\1){2,} *$/.test(line) ||
+         MARKDOWN_LIST_ITEM.test(line) ||
+         (line.includes('|') && next !== undefined && MARKDOWN_TABLE_DIVIDER.test(next));
 }
 
-async function copyChartToClipboard(svgElement, buttonElement) {
-  try {
-    // Show loading state
-    const originalText = buttonElement.textContent;
-    buttonElement.textContent = '⏳ Copying...';
-    buttonElement.disabled = true;
-    
-    // Get SVG dimensions
-    const svgRect = svgElement.getBoundingClientRect();
-    const svgData = new XMLSerializer().serializeToString(svgElement);
-    
-    // Create a canvas to render the SVG
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-    
-    // Set canvas size (scale up for better quality)
-    const scale = 2;
-    canvas.width = svgRect.width * scale;
-    canvas.height = svgRect.height * scale;
-    ctx.scale(scale, scale);
-    
-    // Create blob URL for SVG
-    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(svgBlob);
-    
-    return new Promise((resolve, reject) => {
-      img.onload = async function() {
-        // Draw image to canvas
-        ctx.fillStyle = 'white'; // White background
-        ctx.fillRect(0, 0, svgRect.width, svgRect.height);
-        ctx.drawImage(img, 0, 0);
-        
-        // Convert to blob
-        canvas.toBlob(async function(blob) {
-          try {
-            // Copy to clipboard
-            await navigator.clipboard.write([
-              new ClipboardItem({
-                'image/png': blob
-              })
-            ]);
-            
-            // Success feedback
-            buttonElement.textContent = '✅ Copied!';
-            buttonElement.style.background = '#28a745';
-            
-            setTimeout(() => {
-              buttonElement.textContent = originalText;
-              buttonElement.style.background = '#007bff';
-              buttonElement.disabled = false;
-            }, 2000);
-            
-            resolve();
-          } catch (err) {
-            console.error('Failed to copy to clipboard:', err);
-            // Fallback: Download the image
-            const link = document.createElement('a');
-            link.download = 'chart.png';
-            link.href = canvas.toDataURL();
-            link.click();
-            
-            buttonElement.textContent = '💾 Downloaded';
-            buttonElement.style.background = '#17a2b8';
-            
-            setTimeout(() => {
-              buttonElement.textContent = originalText;
-              buttonElement.style.background = '#007bff';
-              buttonElement.disabled = false;
-            }, 2000);
-            
-            resolve();
-          }
-        }, 'image/png');
-        
-        URL.revokeObjectURL(url);
-      };
-      
-      img.onerror = function(err) {
-        console.error('Failed to load SVG:', err);
-        buttonElement.textContent = '❌ Error';
-        buttonElement.style.background = '#dc3545';
-        
-        setTimeout(() => {
-          buttonElement.textContent = originalText;
-          buttonElement.style.background = '#007bff';
-          buttonElement.disabled = false;
-        }, 2000);
-        
-        reject(err);
-      };
-      
-      img.src = url;
-    });
-    
-  } catch (err) {
-    console.error('Copy operation failed:', err);
-    buttonElement.textContent = '❌ Error';
-    buttonElement.style.background = '#dc3545';
-    
-    setTimeout(() => {
+// Tight mode (list items) leaves paragraphs unwrapped
+function renderMarkdownBlocks(lines, options, tight = false) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code
+    const fence = line.match(/^ {0,3}(```|~~~)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i++]);
+      }
+      i++;
+      blocks.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^ {0,3}(#{1,6}) +(.*?)(?: +#+)? *$/);
+    if (heading) {
+      const level = Math.min(heading[1].length + 2, 6);
+      blocks.push(`<h${level}>${renderMarkdownInline(heading[2], options)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^ {0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && (/^ {0,3}>/.test(lines[i]) || quoted.length)) {
+        quoted.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+      }
+      blocks.push(`<blockquote>${renderMarkdownBlocks(quoted, options).join('\n')}</blockquote>`);
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && MARKDOWN_TABLE_DIVIDER.test(lines[i + 1])) {
+      const rows = [line];
+      const divider = lines[i + 1];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(lines[i++]);
+      }
+      blocks.push(renderMarkdownTable(rows, divider, options));
+      continue;
+    }
+
+    if (MARKDOWN_LIST_ITEM.test(line)) {
+      const list = readMarkdownList(lines, i);
+      blocks.push(renderMarkdownList(list, options));
+      i = list.end;
+      continue;
+    }
+
+    // Paragraph - runs until a blank line or the start of another block
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isMarkdownBlockStart(lines[i], lines[i + 1])) {
+      paragraph.push(lines[i++]);
+    }
+    blocks.push({ paragraph: renderMarkdownInline(paragraph.map(l => l.trimStart()).join('\n').trimEnd(), options) });
+  }
+
+  return blocks.map(block => typeof block === 'string' ? block :
+    tight ? block.paragraph : `<p>${block.paragraph}</p>`);
+}
+
+// Items of one list starting at lines[start]; deeper-indented lines belong to the current item
+function readMarkdownList(lines, start) {
+  const first = lines[start].match(MARKDOWN_LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const marker = line.match(MARKDOWN_LIST_ITEM);
+
+    if (marker && marker[1].length <= indent + 1 && /\d/.test(marker[2]) === ordered) {
+      items.push({ lines: [marker[3] || ''], contentIndent: marker[1].length + marker[2].length + 1 });
+      i++;
+    } else if (marker && marker[1].length <= indent + 1) {
+      break; // A different kind of list at the same level
+    } else if (!line.trim()) {
+      // Blank lines continue the list only when it carries on below
+      const next = lines.slice(i + 1).find(l => l.trim());
+      const nextMarker = next && next.match(MARKDOWN_LIST_ITEM);
+      if (next && (next.match(/^ */)[0].length > indent + 1 || (nextMarker && nextMarker[1].length <= indent + 1 &&
+          /\d/.test(nextMarker[2]) === ordered))) {
+        i++;
+      } else {
+        break;
+      }
+    } else if (line.match(/^ */)[0].length > indent || !isMarkdownBlockStart(line, lines[i + 1])) {
+      const item = items[items.length - 1];
+      item.lines.push(line.slice(Math.min(item.contentIndent, line.match(/^ */)[0].length)));
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  return { ordered, start: ordered ? parseInt(first[2], 10) : 1, items, end: i };
+}
+
+function renderMarkdownList(list, options) {
+  const tag = list.ordered ? 'ol' : 'ul';
+  const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+  const items = list.items.map(item => `<li>${renderMarkdownBlocks(item.lines, options, true).join('\n')}</li>`);
+  return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+}
+
+function renderMarkdownTable(rows, divider, options) {
+  // Escaped pipes (\|) stay inside their cell
+  const cells = row => row.trim()
+    .replace(/\\\|/g, '\u0001')
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map(cell => cell.trim().replace(/\u0001/g, '\\|'));
+  const alignments = cells(divider).map(cell =>
+    cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null);
+  const header = cells(rows[0]);
+
+  const renderRow = (row, tag) => `<tr>${header.map((_, j) => {
+    const style = alignments[j] ? ` style="text-align: ${alignments[j]}"` : '';
+    return `<${tag}${style}>${renderMarkdownInline(row[j] || '', options)}</${tag}>`;
+  }).join('')}</tr>`;
+
+  const body = rows.slice(1).map(row => renderRow(cells(row), 'td'));
+  return `<table>\n<thead>${renderRow(header, 'th')}</thead>\n` +
+    (body.length ? `<tbody>\n${body.join('\n')}\n</tbody>\n` : '') + '</table>';
+}
+
+// Characters a backslash escapes in Markdown text (template values are escaped with the same set)
+const MARKDOWN_ESCAPABLE = '\\\\`*_{}[\\]()#+\\-.!|=~<>';
+const MARKDOWN_ESCAPABLE_PATTERN = new RegExp(`[${MARKDOWN_ESCAPABLE}]`, 'g');
+const MARKDOWN_UNESCAPE_PATTERN = new RegExp(`\\\\([${MARKDOWN_ESCAPABLE}])`, 'g');
+
+/**
+ * Inline Markdown: code spans, escapes and links are set aside as placeholders first so their
+ * contents are not read as emphasis; everything else is escaped before markup is added
+ */
+function renderMarkdownInline(text, options) {
+  const stash = [];
+  const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let result = text
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHTML(code.trim())}</code>`))
+    .replace(MARKDOWN_UNESCAPE_PATTERN, (match, char) => hold(escapeHTML(char)))
+    .replace(/\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+      const content = renderMarkdownInline(label, options);
+      if (!isSafeURL(url, options.schemes)) return hold(content);
+      const titleAttribute = title ? ` title="${escapeHTML(title)}"` : '';
+      return hold(`<a href="${escapeHTML(url)}"${titleAttribute}>${content}</a>`);
+    })
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/g, (match, url) =>
+      isSafeURL(url, options.schemes) ? hold(`<a href="${escapeHTML(url)}">${escapeHTML(url)}</a>`) : match);
+
+  result = escapeHTML(result)
+    .replace(/==(?=\S)([\s\S]*?\S)==/g, '<span class="metric-highlight">$1</span>')
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    // Two trailing spaces or a backslash end a line with a hard break
+    .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+  return result.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+}
+
+// =====================================================
+// REPORT TEMPLATES
+// =====================================================
+
+/**
+ * Template variables in report text: {{ path | filter | filter(arg) }}
+ * Paths read reportData.data: members.total, ageGroups['35-54'], or a function call share('35-54')
+ * with string/number arguments. Filters: number, currency, percent, decimal (optional decimals argument),
+ * compact, decimals(n) and plain (no metric highlight). Numbers are formatted with formatNumber and,
+ * in content, wrapped in a metric highlight.
+ */
+const TEMPLATE_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const TEMPLATE_TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*)|([.[\](),|]))/y;
+
+const TEMPLATE_FORMAT_FILTERS = {
+  number: 'number',
+  currency: 'currency',
+  percent: 'percentage',
+  percentage: 'percentage',
+  decimal: 'decimal'
+};
+
+// Never reachable from a template, so data objects can't be used to reach prototypes
+const TEMPLATE_BLOCKED_NAMES = ['__proto__', 'prototype', 'constructor'];
+
+function tokenizeTemplateExpression(source) {
+  const tokens = [];
+  TEMPLATE_TOKEN.lastIndex = 0;
+  while (TEMPLATE_TOKEN.lastIndex < source.length) {
+    if (!source.slice(TEMPLATE_TOKEN.lastIndex).trim()) break;
+    const start = TEMPLATE_TOKEN.lastIndex;
+    const match = TEMPLATE_TOKEN.exec(source);
+    if (!match) {
+      throw new Error(`unexpected "${source.slice(start).trim()[0]}"`);
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'literal', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'literal', value: Number(match[2]) });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'name', value: match[3] });
+    } else {
+      tokens.push({ type: 'punctuation', value: match[4] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse "path.to['key'](args) | filter(args)" into { path, args, filters }
+ */
+function parseTemplateExpression(source) {
+  const tokens = tokenizeTemplateExpression(source);
+  let position = 0;
+  const peek = value => tokens[position] && tokens[position].value === value && tokens[position].type === 'punctuation';
+  const expect = type => {
+    const token = tokens[position++];
+    if (!token || token.type !== type) {
+      throw new Error(token ? `unexpected "${token.value}"` : 'unexpected end of expression');
+    }
+    return token.value;
+  };
+  const argumentList = () => {
+    const args = [];
+    expect('punctuation'); // (
+    while (!peek(')')) {
+      const token = tokens[position++];
+      if (!token || token.type === 'punctuation') {
+        throw new Error('arguments must be strings or numbers');
+      }
+      args.push(token.value);
+      if (!peek(')')) {
+        if (!peek(',')) throw new Error('expected "," or ")"');
+        position++;
+      }
+    }
+    position++;
+    return args;
+  };
+
+  const path = [expect('name')];
+  while (peek('.') || peek('[')) {
+    if (tokens[position++].value === '.') {
+      path.push(expect('name'));
+    } else {
+      path.push(expect('literal'));
+      if (!peek(']')) throw new Error('expected "]"');
+      position++;
+    }
+  }
+  const args = peek('(') ? argumentList() : null;
+
+  const filters = [];
+  while (peek('|')) {
+    position++;
+    const name = expect('name');
+    filters.push({ name, args: peek('(') ? argumentList() : [] });
+  }
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${tokens[position].value}"`);
+  }
+
+  return { path, args, filters };
+}
+
+// Display form of a path for error messages: members.total, ageGroups['35-54']
+function templatePathName(path) {
+  return path.map((segment, i) => typeof segment === 'number' ? `[${segment}]` :
+    i > 0 && /^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` :
+    i > 0 ? `['${segment}']` : segment).join('');
+}
+
+function resolveTemplateValue({ path, args }, data) {
+  let owner = null;
+  let value = data;
+
+  path.forEach((segment, i) => {
+    const name = templatePathName(path.slice(0, i + 1));
+    const key = String(segment);
+    const readable = value !== null && value !== undefined && !TEMPLATE_BLOCKED_NAMES.includes(key) &&
+      (Object.prototype.hasOwnProperty.call(Object(value), key) ||
+       (key === 'length' && (Array.isArray(value) || typeof value === 'string')));
+    if (!readable) {
+      throw new Error(`"${name}" is not defined`);
+    }
+    owner = value;
+    value = value[key];
+  });
+
+  if (args) {
+    const name = templatePathName(path);
+    if (typeof value !== 'function') {
+      throw new Error(`"${name}" is not a function`);
+    }
+    value = value.apply(owner, args);
+    if (value === undefined || value === null || (typeof value === 'number' && isNaN(value))) {
+      throw new Error(`"${name}(${args.map(a => typeof a === 'string' ? `'${a}'` : a).join(', ')})" returned no value`);
+    }
+  } else if (value === undefined || value === null) {
+    throw new Error(`"${templatePathName(path)}" is empty`);
+  } else if (typeof value === 'function') {
+    throw new Error(`"${templatePathName(path)}" is a function - call it with ()`);
+  }
+
+  if (typeof value === 'object') {
+    throw new Error(`"${templatePathName(path)}" is an object, not a value`);
+  }
+  return value;
+}
+
+/**
+ * Replace {{ ... }} in text
+ * mode: 'html' (escaped, numbers highlighted), 'markdown' (==highlight== syntax) or 'text' (titles)
+ * Returns { text, errors } - unresolved variables are left in place and reported
+ */
+function renderTemplate(text, data = {}, { mode = 'html', formatter = formatNumber } = {}) {
+  const errors = [];
+
+  const rendered = String(text).replace(TEMPLATE_PATTERN, (match, source) => {
+    try {
+      const expression = parseTemplateExpression(source);
+      const value = resolveTemplateValue(expression, data);
+
+      let type = null;
+      const options = {};
+      let plain = false;
+      expression.filters.forEach(({ name, args }) => {
+        if (TEMPLATE_FORMAT_FILTERS[name]) {
+          type = TEMPLATE_FORMAT_FILTERS[name];
+          if (args.length) options.decimals = Number(args[0]);
+        } else if (name === 'compact') {
+          options.compact = true;
+        } else if (name === 'decimals') {
+          options.decimals = Number(args[0]);
+        } else if (name === 'plain') {
+          plain = true;
+        } else {
+          throw new Error(`unknown filter "${name}"`);
+        }
+      });
+
+      const isNumber = typeof value === 'number';
+      if (!isNumber && (type || options.compact || options.decimals !== undefined)) {
+        throw new Error(`"${templatePathName(expression.path)}" is not a number`);
+      }
+
+      const formatted = isNumber ? String(formatter(value, type || 'number', options)) : String(value);
+      const emphasize = isNumber && !plain;
+      if (mode === 'markdown') {
+        const escaped = formatted.replace(MARKDOWN_ESCAPABLE_PATTERN, '\\$&');
+        return emphasize ? `==${escaped}==` : escaped;
+      }
+      if (mode === 'html') {
+        return emphasize ? `<span class="metric-highlight">${escapeHTML(formatted)}</span>` : escapeHTML(formatted);
+      }
+      return formatted;
+    } catch (err) {
+      errors.push(`{{${source}}}: ${err.message}`);
+      return match;
+    }
+  });
+
+  return { text: rendered, errors };
+}
+
+/**
+ * Resolve template variables in every text field of a report definition against reportData.data
+ * options: formatter, and escapedContent (content is escaped by the 'escape' policy - fill in plain text)
+ * Returns a copy of the report with resolved text, plus errors with JSON paths
+ */
+function resolveReportTemplates(reportData, options = {}) {
+  const errors = [];
+  const data = reportData.data || {};
+
+  const resolve = (text, path, mode) => {
+    if (typeof text !== 'string' || !text.includes('{{')) return text;
+    const result = renderTemplate(text, data, { ...options, mode });
+    result.errors.forEach(message => errors.push({ path, keyword: 'template', message }));
+    return result.text;
+  };
+  // A value that is a single {{ }} expression keeps the raw number, so the card or tile formats it
+  // with valueType and decimals and can still compare it with previous or benchmark
+  const resolveValue = (value, path) => {
+    const single = typeof value === 'string' ? value.match(/^\s*\{\{([\s\S]*?)\}\}\s*$/) : null;
+    if (!single || single[1].includes('{{') || single[1].includes('}}')) return resolve(value, path, 'text');
+    try {
+      const expression = parseTemplateExpression(single[1]);
+      if (expression.filters.length) {
+        throw new Error('format the value with valueType, decimals and compact instead of filters');
+      }
+      return resolveTemplateValue(expression, data);
+    } catch (err) {
+      errors.push({ path, keyword: 'template', message: `{{${single[1]}}}: ${err.message}` });
+      return value;
+    }
+  };
+  // The 'escape' content policy escapes content itself, so values go in as plain text
+  const contentMode = format => {
+    if (options.escapedContent) return 'text';
+    return format === 'markdown' ? 'markdown' : 'html';
+  };
+
+  const resolveChart = (chart, path) => {
+    const resolved = { ...chart, title: resolve(chart.title, `${path}.title`, 'text') };
+    if (Array.isArray(chart.kpis)) {
+      resolved.kpis = chart.kpis.map((kpi, k) => kpi && typeof kpi === 'object' ? {
+        ...kpi,
+        label: resolve(kpi.label, `${path}.kpis[${k}].label`, 'text'),
+        value: resolveValue(kpi.value, `${path}.kpis[${k}].value`),
+        previousLabel: resolve(kpi.previousLabel, `${path}.kpis[${k}].previousLabel`, 'text'),
+        benchmarkLabel: resolve(kpi.benchmarkLabel, `${path}.kpis[${k}].benchmarkLabel`, 'text')
+      } : kpi);
+    }
+    return resolved;
+  };
+
+  // Body text follows the item's format; labels, titles and captions are plain text
+  const resolveContentItem = (item, path) => {
+    const resolved = { ...item, text: resolve(item.text, `${path}.text`, contentMode(item.format)) };
+    if ('value' in item) resolved.value = resolveValue(item.value, `${path}.value`);
+    ['label', 'deltaLabel', 'title', 'attribution', 'caption', 'alt'].forEach(key => {
+      if (key in item) resolved[key] = resolve(item[key], `${path}.${key}`, 'text');
+    });
+    if (Array.isArray(item.items)) {
+      resolved.items = item.items.map((entry, i) => entry && typeof entry === 'object' ?
+        { ...entry, text: resolve(entry.text, `${path}.items[${i}].text`, contentMode(entry.format)) } :
+        resolve(entry, `${path}.items[${i}]`, contentMode(item.format)));
+    }
+    return resolved;
+  };
+
+  const { executiveSummary } = reportData;
+  const report = {
+    ...reportData,
+    title: resolve(reportData.title, 'title', 'text'),
+    subtitle: resolve(reportData.subtitle, 'subtitle', 'text'),
+    executiveSummary: executiveSummary && typeof executiveSummary === 'object' ?
+      { ...executiveSummary, text: resolve(executiveSummary.text, 'executiveSummary.text', contentMode(executiveSummary.format)) } :
+      resolve(executiveSummary, 'executiveSummary', contentMode('html'))
+  };
+
+  if (Array.isArray(reportData.sections)) {
+    report.sections = reportData.sections.map((section, s) => {
+      if (!section || typeof section !== 'object') return section;
+      const path = `sections[${s}]`;
+      return {
+        ...section,
+        title: resolve(section.title, `${path}.title`, 'text'),
+        subtitle: resolve(section.subtitle, `${path}.subtitle`, 'text'),
+        charts: Array.isArray(section.charts) ? section.charts.map((chart, c) =>
+          chart && typeof chart === 'object' ? resolveChart(chart, `${path}.charts[${c}]`) : chart) :
+          section.charts,
+        content: Array.isArray(section.content) ? section.content.map((item, c) =>
+          item && typeof item === 'object' ? resolveContentItem(item, `${path}.content[${c}]`) : item) :
+          section.content
+      };
+    });
+  }
+
+  return { report, errors };
+}
+
+// =====================================================
+// COMPLETE BUILD ORCHESTRATION
+// =====================================================
+
+/**
+ * High-level function to create a complete demographics report
+ * Invalid reports are logged; pass { strict: true } to refuse rendering them instead
+ */
+PageBuilder.prototype.buildDemographicsReport = async function(reportData, targetContainer = null, options = {}) {
+  const { strict = false } = options;
+  const isObject = reportData && typeof reportData === 'object';
+  const { locale, currency, numberFormat = {}, contentPolicy } = isObject ? reportData : {};
+
+  // Fill {{ }} variables from reportData.data with the report's own number format - once, since
+  // data functions may be costly; validation below covers everything else
+  const reportNumberFormat = resolveNumberFormat({
+    ...(this.numberFormat || {}), ...(locale && { locale }), ...(currency && { currency }), ...numberFormat
+  });
+  const policyMode = contentPolicy && typeof contentPolicy === 'object' ? contentPolicy.mode : contentPolicy;
+  const templates = isObject ? resolveReportTemplates(reportData, {
+    formatter: (value, type, formatOptions) => formatNumber(value, type, { ...reportNumberFormat, ...formatOptions }),
+    escapedContent: policyMode === 'escape'
+  }) : { report: reportData, errors: [] };
+
+  // Unresolved template variables stop the build even without strict mode,
+  // so a finding never goes out reading "{{share('35-54') | percent}}"
+  if (templates.errors.length) {
+    const details = templates.errors.map(e => `${e.path}: ${e.message}`);
+    const error = new Error(`Unresolved template variables:\n${details.join('\n')}`);
+    error.errors = templates.errors;
+    throw error;
+  }
+
+  const errors = validateReportStructure(reportData);
+  if (errors.length) {
+    const details = errors.map(e => `${e.path || '(root)'}: ${e.message}`);
+    if (strict) {
+      const error = new Error(`Invalid report definition:\n${details.join('\n')}`);
+      error.errors = errors;
+      throw error;
+    }
+    details.forEach(detail => console.warn(`PageBuilder: ${detail}`));
+  }
+
+  const report = templates.report;
+
+  const {
+    title = 'Member Demographics Analysis',
+    subtitle = 'Comprehensive demographic insights and recommendations',
+    executiveSummary = '',
+    theme = null,
+    colors = {},
+    print = {},
+    sections = []
+  } = report;
+
+  // Initialize and create document structure
+  await this.ensureInitialized();
+  this.createDocument({
+    title, subtitle, targetContainer, theme, colors, print, locale, currency, numberFormat, contentPolicy
+  });
+
+  // Add executive summary if provided
+  if (executiveSummary) {
+    this.addExecutiveSummary(executiveSummary);
+  }
+
+  // Process each section
+  for (const sectionData of sections) {
+    const section = this.createSection({
+      title: sectionData.title,
+      subtitle: sectionData.subtitle
+    });
+
+    // Add charts
+    if (sectionData.charts) {
+      for (const chartConfig of sectionData.charts) {
+        chartConfig.parentSelector = `#${section.id} .section-content`;
+        
+        switch (chartConfig.type) {
+          case 'multiSeries':
+            await this.createMultiSeriesChart(chartConfig);
+            break;
+          case 'percentage':
+            await this.createPercentageChart(chartConfig);
+            break;
+          case 'multiColor':
+            await this.createMultiColorChart(chartConfig);
+            break;
+          case 'comparison':
+            await this.createComparisonChart(chartConfig);
+            break;
+          case 'pie':
+            await this.createPieChart(chartConfig);
+            break;
+          case 'table':
+            await this.createDataTable(chartConfig);
+            break;
+          case 'multiScale':
+            await this.createMultiScaleChart(chartConfig);
+            break;
+          case 'doughnut':
+            await this.createDoughnutChart(chartConfig);
+            break;
+          case 'line':
+            await this.createLineChart(chartConfig);
+            break;
+          case 'area':
+            await this.createAreaChart(chartConfig);
+            break;
+          case 'kpis':
+            await this.createKpiRow(chartConfig);
+            break;
+          default:
+            console.warn(`PageBuilder: Unknown chart type "${chartConfig.type}" - chart skipped`);
+        }
+      }
+    }
+
+    // Add text content
+    if (sectionData.content) {
+      sectionData.content.forEach(content => {
+        const targetSelector = `#${section.id} .section-content`;
+        const text = { text: content.text, format: content.format };
+
+        switch (content.type) {
+          case 'finding':
+            this.addKeyFinding(text, targetSelector);
+            break;
+          case 'recommendation':
+            this.addRecommendation(text, content.priority, targetSelector);
+            break;
+          case 'metric':
+            this.addMetricCard(content, targetSelector);
+            break;
+          case 'callout':
+            if (content.variant !== undefined && !CALLOUT_VARIANTS.includes(content.variant)) {
+              console.warn(`PageBuilder: Unknown callout variant "${content.variant}" - callout skipped`);
+              break;
+            }
+            this.addCallout(text, { variant: content.variant, title: content.title }, targetSelector);
+            break;
+          case 'quote':
+            this.addQuote(text, { attribution: content.attribution }, targetSelector);
+            break;
+          case 'list':
+            if (!Array.isArray(content.items)) {
+              console.warn('PageBuilder: List content without an "items" array - list skipped');
+              break;
+            }
+            this.addList(
+              content.items.map(item => typeof item === 'string' ? { text: item, format: content.format } : item),
+              { ordered: content.ordered, start: content.start },
+              targetSelector
+            );
+            break;
+          case 'image':
+            this.addImage(content, targetSelector);
+            break;
+          case 'divider':
+            this.addDivider({ pageBreak: content.pageBreak }, targetSelector);
+            break;
+          default:
+            this.addTextContent(text, targetSelector);
+        }
+      });
+    }
+  }
+
+  return this.currentDocument;
+};
+
+// =====================================================
+// HEADLESS (NODE) RENDERING
+// =====================================================
+
+// Static renders swap globals, so they run one at a time
+let staticRenderQueue = Promise.resolve();
+
+/**
+ * Render a complete report without a browser
+ * Uses a caller-provided DOM window (e.g. jsdom) and d3 module, returns self-contained HTML
+ *
+ * Example (Node):
+ *   const { JSDOM } = require('jsdom');
+ *   const PageBuilder = require('./page-builder.js');
+ *   const d3 = await import('d3');
+ *   const html = await PageBuilder.renderStaticReport(reportData, {
+ *     window: new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>').window,
+ *     d3
+ *   });
+ */
+PageBuilder.renderStaticReport = function(reportData, options = {}) {
+  const { window: domWindow, d3: d3Module, strict = false } = options;
+
+  if (!domWindow || !domWindow.document) {
+    return Promise.reject(new Error('renderStaticReport requires a DOM window (e.g. new JSDOM().window)'));
+  }
+  if (!d3Module || typeof d3Module.select !== 'function') {
+    return Promise.reject(new Error('renderStaticReport requires a d3 module (e.g. await import(\'d3\'))'));
+  }
+
+  const render = async () => {
+    // Chart functions resolve d3 and document from the global scope
+    const globals = { window: domWindow, document: domWindow.document, d3: d3Module };
+    const saved = {};
+    for (const key of Object.keys(globals)) {
+      saved[key] = Object.getOwnPropertyDescriptor(globalThis, key);
+      globalThis[key] = globals[key];
+    }
+
+    try {
+      const builder = new PageBuilder();
+      builder.staticRender = true;
+      await builder.buildDemographicsReport(reportData, null, { strict });
+      await builder.whenChartsReady();
+      return builder.exportStaticHTML();
+    } finally {
+      for (const key of Object.keys(globals)) {
+        if (saved[key]) {
+          Object.defineProperty(globalThis, key, saved[key]);
+        } else {
+          delete globalThis[key];
+        }
+      }
+    }
+  };
+
+  const result = staticRenderQueue.then(render);
+  staticRenderQueue = result.catch(() => {});
+  return result;
+};
+
+// =====================================================
+// GLOBAL INSTANCE AND SIMPLE INTERFACE
+// =====================================================
+
+// Browser only - Node callers use PageBuilder.renderStaticReport()
+if (typeof window !== 'undefined') {
+  // Create global instance
+  window.pageBuilder = new PageBuilder();
+
+  // Expose simple functions for basic usage
+  window.initPageBuilder = () => window.pageBuilder.initialize();
+  window.downloadAllCharts = (options = {}) => window.pageBuilder.exportChartBundle({ filename: true, ...options });
+  window.createDocument = (config) => window.pageBuilder.createDocument(config);
+  window.createSection = (config) => window.pageBuilder.createSection(config);
+  window.addChart = async (type, config) => {
+    switch (type) {
+      case 'multiSeries':
+        return await window.pageBuilder.createMultiSeriesChart(config);
+      case 'percentage':
+        return await window.pageBuilder.createPercentageChart(config);
+      case 'multiColor':
+        return await window.pageBuilder.createMultiColorChart(config);
+      case 'comparison':
+        return await window.pageBuilder.createComparisonChart(config);
+      case 'pie':
+        return await window.pageBuilder.createPieChart(config);
+      case 'table':
+        return await window.pageBuilder.createDataTable(config);
+      case 'multiScale':
+        return await window.pageBuilder.createMultiScaleChart(config);
+      case 'doughnut':
+        return await window.pageBuilder.createDoughnutChart(config);
+      case 'line':
+        return await window.pageBuilder.createLineChart(config);
+      case 'area':
+        return await window.pageBuilder.createAreaChart(config);
+      case 'kpis':
+        return await window.pageBuilder.createKpiRow(config);
+    }
+  };
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageBuilder;
+}
+
+// =====================================================
+// EMBEDDED D3 CHART FUNCTIONS LIBRARY
+// =====================================================
+
+/**
+ * D3.js Chart Functions Library v1.0 - Development Version
+ * Provides reusable chart functions with automatic color assignment
+ * Compatible with D3.js v7+
+ * Embedded in PageBuilder for single-file convenience
+ */
+
+// Export helpers
+
+/**
+ * Save content as a file through a temporary download link
+ * Returns the Blob that was saved
+ */
+function downloadFile(content, filename, type = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return blob;
+}
+
+function blobToBytes(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build an uncompressed (stored) ZIP archive
+ * entries: [{ name, data }] where data is a string (saved as UTF-8) or a Uint8Array
+ */
+function createZipArchive(entries, type = 'application/zip') {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const checksum = crc32(bytes);
+
+    // Version 2.0, UTF-8 names, stored (no compression)
+    const header = (signature, central) => {
+      const view = new DataView(new ArrayBuffer(central ? 46 : 30));
+      let at = 0;
+      const u16 = value => { view.setUint16(at, value, true); at += 2; };
+      const u32 = value => { view.setUint32(at, value, true); at += 4; };
+
+      u32(signature);
+      if (central) u16(20);
+      u16(20);
+      u16(0x0800);
+      u16(0);
+      u16(dosTime);
+      u16(dosDate);
+      u32(checksum);
+      u32(bytes.length);
+      u32(bytes.length);
+      u16(nameBytes.length);
+      u16(0);
+      if (central) {
+        u16(0);
+        u16(0);
+        u16(0);
+        u32(0);
+        u32(offset);
+      }
+      return new Uint8Array(view.buffer);
+    };
+
+    centralDirectory.push(header(0x02014B50, true), nameBytes);
+    parts.push(header(0x04034B50, false), nameBytes, bytes);
+    offset += 30 + nameBytes.length + bytes.length;
+  });
+
+  const directorySize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, new Uint8Array(end.buffer)], { type });
+}
+
+/**
+ * Cell text of an HTML table as an array of rows (header row first)
+ */
+function tableElementRows(tableElement) {
+  return Array.from(tableElement.rows).map(row =>
+    Array.from(row.cells).map(tableCellText)
+  );
+}
+
+/**
+ * Text of a table cell without sort indicators, conditional-format icons or in-cell graphics
+ */
+function tableCellText(cell) {
+  const copy = cell.cloneNode(true);
+  copy.querySelectorAll('.sort-indicator, .cell-icon, svg').forEach(node => node.remove());
+  return copy.textContent.trim();
+}
+
+/**
+ * Tab-separated cell text of a table, one line per row, for pasting into spreadsheets
+ */
+function tableTSV(tableElement) {
+  return Array.from(tableElement.querySelectorAll('tr'))
+    .map(row => Array.from(row.querySelectorAll('td, th')).map(tableCellText).join('\t'))
+    .join('\n');
+}
+
+/**
+ * Serialize rows to RFC 4180 CSV
+ */
+function toCSV(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Rows (header row first) for a chart's raw data: one row per category, one column per series
+ * Numbers stay numbers and NaN becomes an empty cell; Date objects become ISO dates - the calendar
+ * date for local or UTC midnight, a full timestamp otherwise. Text labels are kept as given
+ */
+function chartDataRows(data) {
+  const { category = 'Category', labels = [], series = [] } = data;
+  const cell = value => {
+    if (value instanceof Date) {
+      if (isNaN(value)) return null;
+      if (+d3.timeDay.floor(value) === +value) {
+        return d3.timeFormat('%Y-%m-%d')(value);
+      }
+      const iso = value.toISOString();
+      return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+    }
+    return value === undefined || Number.isNaN(value) ? null : value;
+  };
+
+  return [
+    [category, ...series.map(s => s.name)],
+    ...labels.map((label, i) => [cell(label), ...series.map(s => cell(s.values[i]))])
+  ];
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Build a single-sheet .xlsx workbook; numbers are written as numeric cells, everything else as text
+ */
+function createXlsxWorkbook(rows, sheetName = 'Data') {
+  const columnName = index => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+  };
+
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"${r === 0 ? ' s="1"' : ''}><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"${r === 0 ? ' s="1"' : ''}><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  // Sheet names: at most 31 characters, none of : \ / ? * [ ]
+  const safeSheetName = String(sheetName).replace(/[:\\/?*\[\]]/g, ' ').trim().slice(0, 31) || 'Data';
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const mainNS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const relNS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const packageRelNS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+  return createZipArchive([
+    {
+      name: '[Content_Types].xml',
+      data: xmlHeader +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: xmlHeader +
+        `<Relationships xmlns="${packageRelNS}">` +
+        `<Relationship Id="rId1" Type="${relNS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xmlHeader +
+        `<workbook xmlns="${mainNS}" xmlns:r="${relNS}">` +
+        `<sheets><sheet name="${escapeXML(safeSheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xmlHeader +
+        `<Relationships xmlns="${packageRelNS}">` +
+        `<Relationship Id="rId1" Type="${relNS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${relNS}/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      // Style 1 is the bold header row
+      name: 'xl/styles.xml',
+      data: xmlHeader +
+        `<styleSheet xmlns="${mainNS}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: xmlHeader +
+        `<worksheet xmlns="${mainNS}"><sheetData>${sheetRows}</sheetData></worksheet>`
+    }
+  ], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+/**
+ * Download a chart's or table's raw data as CSV or .xlsx
+ */
+function downloadChartData(data, format, fileStem, sheetName) {
+  const rows = chartDataRows(data);
+  if (format === 'csv') {
+    // Byte order mark so Excel opens UTF-8 CSV files correctly
+    return downloadFile('\uFEFF' + toCSV(rows), `${fileStem}.csv`, 'text/csv;charset=utf-8');
+  }
+  if (format === 'xlsx') {
+    return downloadFile(createXlsxWorkbook(rows, sheetName), `${fileStem}.xlsx`);
+  }
+  throw new Error(`Unsupported data export format "${format}". Use 'csv' or 'xlsx'`);
+}
+
+/**
+ * PNG data URL of a loaded image, or null when it has not loaded or is cross-origin (tainted canvas)
+ */
+function imageToDataURL(image) {
+  if (!image || !image.complete || !image.naturalWidth) return null;
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+    context.drawImage(image, 0, 0);
+    return canvas.toDataURL('image/png');
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Remove everything from an exported copy of the report that only works on the live page:
+ * scripts, embeds, form controls, event-handler attributes, javascript:, vbscript: and non-image data: URLs,
+ * hover overlays and keyboard focus stops. Charts stay as inline SVG.
+ */
+function stripInteractiveArtifacts(root) {
+  root.querySelectorAll('script, noscript, iframe, object, embed, link, form, button, input, select, textarea')
+    .forEach(node => {
+      const parent = node.parentNode;
+      node.remove();
+      // Drop wrappers left empty (e.g. the positioned copy-button holder)
+      if (parent && parent !== root && parent.tagName === 'DIV' && !parent.childNodes.length) {
+        parent.remove();
+      }
+    });
+
+  root.querySelectorAll('.chart-tooltip, [id^="context-menu-"], [id^="tooltip-"], .overlay, .focus-line, .data-table-pager')
+    .forEach(node => node.remove());
+
+  // Paged tables keep every row in the DOM; a static copy shows them all
+  root.querySelectorAll('.data-table-offpage').forEach(row => {
+    row.classList.remove('data-table-offpage');
+    row.style.removeProperty('display');
+  });
+
+  // URLs that can run script; data: is kept for images only, which the exported page needs
+  const isScriptURL = (node, value) => {
+    const scheme = urlScheme(value);
+    if (scheme === 'data') {
+      return !(['img', 'image'].includes(node.localName.toLowerCase()) && /^data:image\//i.test(value.trim()));
+    }
+    return scheme === 'javascript' || scheme === 'vbscript';
+  };
+
+  [root, ...root.querySelectorAll('*')].forEach(node => {
+    Array.from(node.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      if (name.startsWith('on') ||
+          name === 'tabindex' ||
+          name === 'aria-haspopup' ||
+          name === 'contenteditable' ||
+          (['href', 'src', 'xlink:href', 'action', 'formaction'].includes(name) && isScriptURL(node, attribute.value))) {
+        node.removeAttribute(attribute.name);
+      }
+    });
+  });
+
+  // Standalone SVG namespace so charts also render when extracted from the page
+  root.querySelectorAll('svg').forEach(svg => {
+    svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  });
+
+  return root;
+}
+
+// Chart copy functionality
+function addCopyButton(svg, containerId) {
+  const theme = activeTheme;
+  const container = d3.select(`#${containerId}`);
+  
+  // Add copy button to container
+  const copyButton = container
+    .insert('div', ':first-child')
+    .style('position', 'absolute')
+    .style('top', '10px')
+    .style('right', '10px')
+    .style('z-index', 1000)
+    .append('button')
+    .style('background', theme.button.background)
+    .style('color', theme.button.text)
+    .style('border', 'none')
+    .style('padding', '8px 12px')
+    .style('border-radius', '4px')
+    .style('cursor', 'pointer')
+    .style('font-size', '12px')
+    .style('font-family', theme.fonts.ui)
+    .style('box-shadow', '0 2px 4px rgba(0,0,0,0.2)')
+    .text('📋 Copy Chart')
+    .on('mouseover', function() {
+      d3.select(this).style('background', theme.button.hover);
+    })
+    .on('mouseout', function() {
+      d3.select(this).style('background', theme.button.background);
+    })
+    .on('click', function() {
+      copyChartToClipboard(svg.node(), this);
+    });
+  
+  // Set container position relative for absolute positioning
+  container.style('position', 'relative');
+  
+  return copyButton;
+}
+
+async function copyChartToClipboard(svgElement, buttonElement) {
+  const theme = activeTheme;
+  const originalText = buttonElement.textContent;
+  const showStatus = (text, background) => {
+    buttonElement.textContent = text;
+    buttonElement.style.background = background;
+
+    setTimeout(() => {
       buttonElement.textContent = originalText;
-      buttonElement.style.background = '#007bff';
+      buttonElement.style.background = theme.button.background;
       buttonElement.disabled = false;
     }, 2000);
+  };
+
+  // Show loading state
+  buttonElement.textContent = '⏳ Copying...';
+  buttonElement.disabled = true;
+
+  let blob;
+  try {
+    blob = await renderChartImage(svgElement, { format: 'png' });
+  } catch (err) {
+    console.error('Failed to render chart image:', err);
+    showStatus('❌ Error', theme.button.error);
+    return;
+  }
+
+  try {
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        'image/png': blob
+      })
+    ]);
+    showStatus('✅ Copied!', theme.button.success);
+  } catch (err) {
+    console.error('Failed to copy to clipboard:', err);
+    // Fallback: Download the image
+    downloadFile(blob, chartFileName(svgElement, 'png'));
+    showStatus('💾 Downloaded', theme.button.info);
+  }
+}
+
+// Chart image export
+
+// Presentation properties copied from the computed style so exported images match the page
+const EXPORTED_STYLE_PROPERTIES = [
+  'font-family', 'font-size', 'font-weight', 'font-style',
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'opacity', 'text-anchor', 'dominant-baseline', 'visibility', 'display'
+];
+const NON_INHERITED_STYLE_PROPERTIES = new Set(['opacity', 'display']);
+
+/**
+ * Copy computed presentation styles from a rendered element tree onto its clone
+ * Inherited values equal to the parent's are skipped to keep the markup small
+ */
+function inlineComputedStyles(source, target) {
+  const view = source.ownerDocument.defaultView;
+  if (!view || !view.getComputedStyle) return;
+
+  const walk = (sourceNode, targetNode, parentStyle) => {
+    const computed = view.getComputedStyle(sourceNode);
+    const declarations = [];
+
+    EXPORTED_STYLE_PROPERTIES.forEach(property => {
+      const value = computed.getPropertyValue(property);
+      if (!value) return;
+      if (parentStyle && !NON_INHERITED_STYLE_PROPERTIES.has(property) &&
+          parentStyle.getPropertyValue(property) === value) return;
+      if (NON_INHERITED_STYLE_PROPERTIES.has(property) &&
+          ((property === 'opacity' && value === '1') || (property === 'display' && value !== 'none'))) return;
+      declarations.push(`${property}: ${value}`);
+    });
+
+    if (declarations.length) {
+      const existing = targetNode.getAttribute('style');
+      targetNode.setAttribute('style', (existing ? existing.replace(/;?\s*$/, '; ') : '') + declarations.join('; '));
+    }
+
+    Array.from(sourceNode.children).forEach((child, index) => {
+      walk(child, targetNode.children[index], computed);
+    });
+  };
+
+  walk(source, target, null);
+}
+
+/**
+ * Standalone SVG markup for a rendered chart, at its on-screen size
+ * Returns { markup, width, height }
+ */
+function serializeChartSVG(svgElement, options = {}) {
+  const { background = null } = options;
+
+  const clone = svgElement.cloneNode(true);
+  inlineComputedStyles(svgElement, clone);
+  stripInteractiveArtifacts(clone);
+
+  // Rendered size, falling back to the viewBox when the chart is not laid out (e.g. headless)
+  const rect = svgElement.getBoundingClientRect();
+  const viewBox = svgElement.viewBox && svgElement.viewBox.baseVal;
+  const width = Math.round(rect.width || (viewBox && viewBox.width) || +svgElement.getAttribute('width') || 800);
+  const height = Math.round(rect.height || (viewBox && viewBox.height) || +svgElement.getAttribute('height') || 400);
+
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.style.removeProperty('max-width');
+  clone.style.removeProperty('height');
+  clone.style.removeProperty('background');
+  if (background) {
+    clone.style.setProperty('background', background);
+  }
+
+  return {
+    markup: new XMLSerializer().serializeToString(clone),
+    width,
+    height
+  };
+}
+
+/**
+ * Background the chart is shown on: the SVG's own background, else the theme's
+ */
+function chartBackground(svgElement) {
+  const view = svgElement.ownerDocument.defaultView;
+  const computed = view && view.getComputedStyle ? view.getComputedStyle(svgElement).backgroundColor : '';
+  return computed && computed !== 'transparent' && computed !== 'rgba(0, 0, 0, 0)'
+    ? computed
+    : activeTheme.chart.background;
+}
+
+/**
+ * Render a chart SVG to an image Blob
+ * format: 'svg' | 'png' | 'jpeg'; scale multiplies the pixel size of raster images;
+ * background defaults to the chart background - pass null or 'transparent' for none (JPEG falls back to white)
+ */
+function renderChartImage(svgElement, options = {}) {
+  const {
+    format = 'png',
+    scale = 2,
+    background = chartBackground(svgElement),
+    quality = 0.92
+  } = options;
+
+  if (!['svg', 'png', 'jpeg'].includes(format)) {
+    return Promise.reject(new Error(`Unsupported chart image format "${format}". Supported formats: svg, png, jpeg`));
+  }
+  if (!(scale > 0)) {
+    return Promise.reject(new Error('Chart image scale must be a positive number'));
+  }
+
+  const fill = background && background !== 'transparent' ? background : (format === 'jpeg' ? '#ffffff' : null);
+  const { markup, width, height } = serializeChartSVG(svgElement, { background: fill });
+
+  if (format === 'svg') {
+    return Promise.resolve(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const img = new Image();
+
+    img.onload = function() {
+      URL.revokeObjectURL(url);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+
+      if (fill) {
+        ctx.fillStyle = fill;
+        ctx.fillRect(0, 0, width, height);
+      }
+      ctx.drawImage(img, 0, 0, width, height);
+
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error(`Failed to encode chart as ${format}`));
+        }
+      }, `image/${format}`, quality);
+    };
+
+    img.onerror = function() {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to load chart SVG for rasterizing'));
+    };
+
+    img.src = url;
+  });
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Turn a title into a safe file name stem
+ */
+function slugify(text, fallback = 'chart') {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  return slug || fallback;
+}
+
+/**
+ * File name for a chart export, from the chart's title or else its container id
+ */
+function chartFileName(svgElement, extension) {
+  const title = svgElement.querySelector('title');
+  const container = svgElement.closest('.chart-container');
+  return `${slugify(title && title.textContent, container ? container.id : 'chart')}.${extension}`;
+}
+
+/**
+ * Export a rendered chart as an image
+ * Options: format ('svg' | 'png' | 'jpeg'), scale, background, quality (JPEG),
+ * output ('blob' | 'dataURL') and filename - when given, the image is also downloaded
+ */
+async function exportChart(containerId, options = {}) {
+  const { format = 'png', output = 'blob', filename = null } = options;
+
+  const svgElement = document.querySelector(`#${containerId} svg`);
+  if (!svgElement) {
+    throw new Error(`No chart found in container "${containerId}"`);
+  }
+  if (!['blob', 'dataURL'].includes(output)) {
+    throw new Error(`Unsupported chart export output "${output}". Use 'blob' or 'dataURL'`);
+  }
+
+  const blob = await renderChartImage(svgElement, options);
+  if (filename) {
+    downloadFile(blob, filename === true ? chartFileName(svgElement, format === 'jpeg' ? 'jpg' : format) : filename);
+  }
+
+  return output === 'dataURL' ? blobToDataURL(blob) : blob;
+}
+
+// Color configuration
+const CHART_COLORS = {
+  primary: '#3498db',
+  secondary: '#2ecc71',
+  accent: '#f39c12',
+  palette: [
+    '#3498db', '#2ecc71', '#f39c12', '#e74c3c', '#9b59b6', 
+    '#1abc9c', '#34495e', '#f1c40f', '#e67e22', '#95a5a6',
+    '#2980b9', '#27ae60', '#d35400', '#c0392b', '#8e44ad'
+  ],
+  gender: {
+    male: '#4a90e2',
+    female: '#50e3c2'
+  }
+};
+
+// Theme configuration - palette, fonts and UI colors used by charts, tables and menus
+const CHART_THEMES = {
+  light: {
+    name: 'light',
+    primary: CHART_COLORS.primary,
+    secondary: CHART_COLORS.secondary,
+    accent: CHART_COLORS.accent,
+    palette: CHART_COLORS.palette,
+    gender: CHART_COLORS.gender,
+    comparison: ['rgba(54,162,235,0.75)', 'rgba(255,99,132,0.75)'],
+    fonts: {
+      body: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+      chart: 'sans-serif',
+      ui: 'Arial, sans-serif',
+      monospace: 'monospace'
+    },
+    chart: {
+      background: 'white',
+      text: '#333',
+      muted: '#999',
+      grid: '#e5e5e5'
+    },
+    table: {
+      background: 'white',
+      headerBackground: '#f8f9fa',
+      headerText: '#495057',
+      text: '#495057',
+      mutedText: '#6c757d',
+      border: '#dee2e6',
+      stripe: '#f8f9fa',
+      hover: '#f8f9fa',
+      title: '#2c5282',
+      shadow: '0 1px 3px rgba(0,0,0,0.1)',
+      // Conditional formatting: good/bad/caution/neutral values and heat-map backgrounds (low, mid, high)
+      positive: '#1e7e34',
+      negative: '#c82333',
+      warning: '#d39e00',
+      neutral: '#6c757d',
+      colorScale: ['#f8d7da', '#fff3cd', '#d4edda']
+    },
+    tooltip: {
+      background: 'rgba(0,0,0,0.8)',
+      text: 'white'
+    },
+    menu: {
+      background: 'white',
+      text: '#333',
+      border: '#ccc',
+      hover: '#f0f0f0',
+      shadow: '0 2px 8px rgba(0,0,0,0.15)',
+      successBackground: '#d4edda',
+      successText: '#155724',
+      errorBackground: '#f8d7da',
+      errorText: '#721c24'
+    },
+    button: {
+      background: '#007bff',
+      hover: '#0056b3',
+      text: 'white',
+      success: '#28a745',
+      info: '#17a2b8',
+      error: '#dc3545'
+    },
+    // Exposed to the report stylesheet as --pb-* CSS variables
+    report: {
+      pageBackground: '#f5f5f5',
+      surface: 'white',
+      text: '#333',
+      mutedText: '#666',
+      headerBackground: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+      headerText: 'white',
+      accent: '#667eea',
+      border: '#ddd',
+      shadow: '0 0 20px rgba(0,0,0,0.1)',
+      cardShadow: '0 2px 4px rgba(0,0,0,0.1)',
+      summaryBackground: '#f8f9fa',
+      summaryBorder: '#28a745',
+      findingBackground: '#fff3cd',
+      findingBorder: '#ffc107',
+      recommendationBackground: '#d1ecf1',
+      recommendationBorder: '#17a2b8',
+      infoBackground: '#e8f4fd',
+      infoBorder: '#3498db',
+      warningBackground: '#fff4e5',
+      warningBorder: '#fd7e14',
+      positive: '#1e7e34',
+      negative: '#c82333',
+      highlight: '#007bff'
+    }
+  }
+};
+
+/**
+ * Deep-merge theme overrides onto a base theme (arrays are replaced, not merged)
+ */
+function mergeTheme(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isPlainObject && base[key] && typeof base[key] === 'object' ?
+      mergeTheme(base[key], value) :
+      value;
+  });
+  return merged;
+}
+
+/**
+ * Register a named theme - partial themes inherit from `extends` (default 'light')
+ */
+function defineTheme(name, theme = {}) {
+  const { extends: baseName = 'light', ...overrides } = theme;
+  const base = CHART_THEMES[baseName];
+  if (!base) {
+    throw new Error(`Unknown base theme "${baseName}"`);
+  }
+  CHART_THEMES[name] = mergeTheme(base, { ...overrides, name });
+  return CHART_THEMES[name];
+}
+
+/**
+ * Resolve a theme name or theme object to a complete theme
+ */
+function resolveTheme(theme) {
+  if (!theme) return CHART_THEMES.light;
+  if (typeof theme === 'string') {
+    if (!CHART_THEMES[theme]) {
+      throw new Error(`Unknown theme "${theme}". Registered themes: ${Object.keys(CHART_THEMES).join(', ')}`);
+    }
+    return CHART_THEMES[theme];
+  }
+  const { extends: baseName = 'light', ...overrides } = theme;
+  return mergeTheme(resolveTheme(baseName), { name: 'custom', ...overrides });
+}
+
+/**
+ * Quote text as a CSS string literal (for generated `content:` values)
+ * `<` is escaped so the text cannot close the surrounding <style> element
+ */
+function toCSSString(text) {
+  const escaped = String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/</g, '\\3C ');
+  return `"${escaped}"`;
+}
+
+/**
+ * Convert theme.report and theme.fonts to CSS custom property declarations
+ */
+function themeToCSSVariables(theme) {
+  const toKebab = key => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  const declarations = Object.entries(theme.report)
+    .map(([key, value]) => `--pb-${toKebab(key)}: ${value};`);
+  Object.entries(theme.fonts).forEach(([key, value]) => {
+    declarations.push(`--pb-font-${toKebab(key)}: ${value};`);
+  });
+  return declarations.join('\n          ');
+}
+
+defineTheme('dark', {
+  primary: '#5dade2',
+  secondary: '#58d68d',
+  accent: '#f5b041',
+  palette: [
+    '#5dade2', '#58d68d', '#f5b041', '#ec7063', '#af7ac5',
+    '#48c9b0', '#85929e', '#f4d03f', '#eb984e', '#aab7b8',
+    '#5499c7', '#52be80', '#dc7633', '#cd6155', '#a569bd'
+  ],
+  gender: {
+    male: '#6aa8f0',
+    female: '#5ee8cb'
+  },
+  comparison: ['rgba(93,173,226,0.85)', 'rgba(236,112,99,0.85)'],
+  chart: {
+    background: '#1e2227',
+    text: '#e6e6e6',
+    muted: '#6c737d',
+    grid: '#353b43'
+  },
+  table: {
+    background: '#1e2227',
+    headerBackground: '#2a2f36',
+    headerText: '#e6e6e6',
+    text: '#d0d4da',
+    mutedText: '#9aa1ab',
+    border: '#3a3f47',
+    stripe: '#23282e',
+    hover: '#2f353d',
+    title: '#8fb4ff',
+    shadow: '0 1px 3px rgba(0,0,0,0.5)',
+    positive: '#58d68d',
+    negative: '#ec7063',
+    warning: '#f5b041',
+    neutral: '#9aa1ab',
+    colorScale: ['#5a2a2e', '#4a4226', '#1f4d2c']
+  },
+  tooltip: {
+    background: 'rgba(255,255,255,0.92)',
+    text: '#111'
+  },
+  menu: {
+    background: '#2a2f36',
+    text: '#e6e6e6',
+    border: '#444',
+    hover: '#363c44',
+    shadow: '0 2px 8px rgba(0,0,0,0.5)',
+    successBackground: '#1e4620',
+    successText: '#b7f5c0',
+    errorBackground: '#4a1f24',
+    errorText: '#ffc9cf'
+  },
+  button: {
+    background: '#3d8bfd',
+    hover: '#2b6fd6'
+  },
+  report: {
+    pageBackground: '#121417',
+    surface: '#1e2227',
+    text: '#e6e6e6',
+    mutedText: '#a0a7b0',
+    headerBackground: 'linear-gradient(135deg, #3b4a8c 0%, #4b2f6b 100%)',
+    accent: '#7f8cf0',
+    border: '#3a3f47',
+    shadow: '0 0 20px rgba(0,0,0,0.6)',
+    cardShadow: '0 2px 4px rgba(0,0,0,0.4)',
+    summaryBackground: '#23282e',
+    summaryBorder: '#3ddc84',
+    findingBackground: '#3a3320',
+    recommendationBackground: '#1c3238',
+    recommendationBorder: '#38c5dc',
+    infoBackground: '#1b2a3a',
+    infoBorder: '#5dade2',
+    warningBackground: '#3a2a1c',
+    warningBorder: '#eb984e',
+    positive: '#58d68d',
+    negative: '#ec7063',
+    highlight: '#6ab0ff'
+  }
+});
+
+defineTheme('colorblind', {
+  primary: '#0072B2',
+  secondary: '#009E73',
+  accent: '#E69F00',
+  palette: 'okabeIto',
+  gender: {
+    male: '#0072B2',
+    female: '#E69F00'
+  },
+  comparison: ['#0072B2', '#D55E00'],
+  // Blue/vermillion instead of green/red
+  table: {
+    positive: '#0072B2',
+    negative: '#D55E00',
+    warning: '#E69F00',
+    colorScale: ['#f6d2bd', '#f7f7f7', '#c6dbef']
+  },
+  report: {
+    positive: '#0072B2',
+    negative: '#D55E00'
+  }
+});
+
+defineTheme('highContrast', {
+  primary: '#0033cc',
+  secondary: '#007a00',
+  accent: '#b35900',
+  palette: [
+    '#0033cc', '#cc0000', '#007a00', '#000000', '#8a00a8',
+    '#b35900', '#00707a', '#5c3d00', '#c2006b', '#4d4d4d'
+  ],
+  gender: {
+    male: '#0033cc',
+    female: '#b35900'
+  },
+  comparison: ['#0033cc', '#cc0000'],
+  fonts: {
+    body: 'Verdana, Arial, sans-serif',
+    chart: 'Verdana, Arial, sans-serif',
+    ui: 'Verdana, Arial, sans-serif'
+  },
+  chart: {
+    background: 'white',
+    text: '#000',
+    muted: '#000',
+    grid: '#949494'
+  },
+  table: {
+    headerBackground: '#000',
+    headerText: '#fff',
+    text: '#000',
+    mutedText: '#000',
+    border: '#000',
+    stripe: '#f0f0f0',
+    hover: '#ffff99',
+    title: '#000',
+    shadow: 'none',
+    positive: '#006600',
+    negative: '#cc0000',
+    warning: '#8a5a00',
+    neutral: '#000',
+    colorScale: ['#ffcccc', '#ffffff', '#ccffcc']
+  },
+  tooltip: {
+    background: '#000',
+    text: '#fff'
+  },
+  menu: {
+    text: '#000',
+    border: '#000',
+    hover: '#ffff99',
+    shadow: 'none'
+  },
+  button: {
+    background: '#000',
+    hover: '#0033cc'
+  },
+  report: {
+    pageBackground: 'white',
+    text: '#000',
+    mutedText: '#1a1a1a',
+    headerBackground: '#000',
+    accent: '#000',
+    border: '#000',
+    shadow: 'none',
+    cardShadow: 'none',
+    summaryBackground: 'white',
+    summaryBorder: '#000',
+    findingBackground: 'white',
+    findingBorder: '#000',
+    recommendationBackground: 'white',
+    recommendationBorder: '#000',
+    infoBackground: 'white',
+    infoBorder: '#000',
+    warningBackground: 'white',
+    warningBorder: '#000',
+    positive: '#006600',
+    negative: '#cc0000',
+    highlight: '#0033cc'
+  }
+});
+
+// Theme used by chart functions - set by PageBuilder before each chart is drawn
+let activeTheme = CHART_THEMES.light;
+
+// Named palettes - all but 'default' are safe for the common color-vision deficiencies
+const COLOR_PALETTES = {
+  default: CHART_COLORS.palette,
+  okabeIto: ['#0072B2', '#E69F00', '#009E73', '#D55E00', '#56B4E9', '#CC79A7', '#F0E442', '#000000'],
+  tolBright: ['#4477AA', '#EE6677', '#228833', '#CCBB44', '#66CCEE', '#AA3377', '#BBBBBB'],
+  tolVibrant: ['#0077BB', '#EE7733', '#009988', '#CC3311', '#33BBEE', '#EE3377', '#BBBBBB'],
+  ibm: ['#648FFF', '#DC267F', '#FFB000', '#785EF0', '#FE6100']
+};
+
+/**
+ * Resolve a palette name or array of colors
+ */
+function resolvePalette(palette) {
+  if (Array.isArray(palette)) return palette;
+  if (!COLOR_PALETTES[palette]) {
+    throw new Error(`Unknown palette "${palette}". Available palettes: ${Object.keys(COLOR_PALETTES).join(', ')}`);
+  }
+  return COLOR_PALETTES[palette];
+}
+
+/**
+ * Create the label-to-color state shared by every chart in a report
+ */
+function createColorScheme(config = {}) {
+  const { palette = null, overrides = {} } = config;
+  if (palette) {
+    resolvePalette(palette); // Fail fast on unknown palette names
+  }
+  return {
+    palette,
+    overrides: { ...overrides },
+    assignments: new Map()
+  };
+}
+
+// Label-to-color state used by chart functions - set by PageBuilder before each chart is drawn
+let activeColorScheme = createColorScheme();
+
+/**
+ * Color for a series or category label, stable across every chart in the report
+ * Order: semantic overrides, gender labels, earlier assignments, then the next unused palette color
+ * Override values may be colors or theme tokens: 'primary', 'secondary', 'accent', 'muted'
+ */
+function colorForLabel(label, fallback = null) {
+  const key = String(label);
+  const scheme = activeColorScheme;
+  const resolveToken = value => value === 'muted' ? activeTheme.chart.muted :
+    ['primary', 'secondary', 'accent'].includes(value) ? activeTheme[value] :
+    value;
+
+  if (scheme.overrides[key]) return resolveToken(scheme.overrides[key]);
+  if (key === 'Male') return activeTheme.gender.male;
+  if (key === 'Female') return activeTheme.gender.female;
+  if (scheme.assignments.has(key)) return scheme.assignments.get(key);
+
+  // Skip colors already taken by other labels or pinned by overrides
+  const palette = resolvePalette(scheme.palette || activeTheme.palette);
+  const used = new Set([
+    ...scheme.assignments.values(),
+    ...Object.values(scheme.overrides).map(resolveToken)
+  ]);
+  const color = fallback ||
+    palette.find(c => !used.has(c)) ||
+    palette[scheme.assignments.size % palette.length];
+
+  scheme.assignments.set(key, color);
+  return color;
+}
+
+// Helper function to get colors
+function getColors(count, type = 'palette') {
+  if (type === 'gender') {
+    return [activeTheme.gender.male, activeTheme.gender.female];
+  }
+  const palette = resolvePalette(activeTheme.palette);
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    colors.push(palette[i % palette.length]);
+  }
+  return colors;
+}
+
+// Documents whose clicks and Escape key already hide context menus
+const contextMenuDocuments = new WeakSet();
+
+/**
+ * Hide open context menus on a click outside them or Escape
+ * Registered once per document, so menus replaced on redraw leave no listeners behind
+ */
+function addContextMenuDismissal() {
+  const doc = document;
+  if (contextMenuDocuments.has(doc)) return;
+  contextMenuDocuments.add(doc);
+
+  const menus = () => d3.select(doc).selectAll('[id^="context-menu-"]');
+  doc.addEventListener('click', function(event) {
+    menus().filter(function() { return !this.contains(event.target); }).style('display', 'none');
+  });
+  doc.addEventListener('keydown', function(event) {
+    if (event.key === 'Escape') {
+      menus().style('display', 'none');
+    }
+  });
+}
+
+/**
+ * Show a context menu at a page position, hiding any other open menu
+ */
+function showContextMenu(contextMenu, left, top) {
+  // Hide any existing context menus
+  d3.selectAll('[id^="context-menu-"]').style('display', 'none');
+
+  // Menu items take focus from the keyboard
+  const theme = activeTheme;
+  contextMenu.attr('role', 'menu')
+    .selectChildren('div')
+    .attr('role', 'menuitem')
+    .attr('tabindex', -1)
+    .on('focus.keyboard', function() {
+      d3.select(this).style('background', theme.menu.hover);
+    })
+    .on('blur.keyboard', function() {
+      d3.select(this).style('background', theme.menu.background);
+    });
+
+  contextMenu
+    .style('left', left + 'px')
+    .style('top', top + 'px')
+    .style('display', 'block');
+}
+
+/**
+ * Keyboard access for a chart or table context menu
+ * The context-menu key or Shift+F10 on the opener (or a focused mark inside it) opens the menu;
+ * arrow keys move between items, Enter/Space activate, Escape and Tab close and return focus
+ */
+function addMenuKeyboardSupport(contextMenu, opener) {
+  const items = () => contextMenu.selectChildren('div').nodes();
+  const close = () => {
+    contextMenu.style('display', 'none');
+    opener.node().focus();
+  };
+
+  opener
+    .attr('tabindex', 0)
+    .attr('aria-haspopup', 'menu')
+    .on('keydown.menu', function(event) {
+      if (event.key !== 'ContextMenu' && !(event.shiftKey && event.key === 'F10')) return;
+      event.preventDefault();
+
+      const rect = event.target.getBoundingClientRect();
+      showContextMenu(contextMenu, rect.left + window.scrollX, rect.bottom + window.scrollY);
+      const first = items()[0];
+      if (first) first.focus();
+    });
+
+  contextMenu.on('keydown', function(event) {
+    const list = items();
+    const index = list.indexOf(document.activeElement);
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        list[(index + 1) % list.length].focus();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        list[(index - 1 + list.length) % list.length].focus();
+        break;
+      case 'Home':
+        event.preventDefault();
+        list[0].focus();
+        break;
+      case 'End':
+        event.preventDefault();
+        list[list.length - 1].focus();
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        if (index >= 0) {
+          list[index].click();
+          // Copy items stay open to show their status; the others have closed the menu
+          if (contextMenu.style('display') === 'none') close();
+        }
+        break;
+      case 'Escape':
+      case 'Tab':
+        if (event.key === 'Escape') event.preventDefault();
+        close();
+        break;
+    }
+  });
+
+  return contextMenu;
+}
+
+/**
+ * Append a clickable item to a context menu; the menu closes before the action runs,
+ * unless keepOpen is set for items that show their progress in place
+ */
+function appendMenuItem(contextMenu, html, onClick, { keepOpen = false } = {}) {
+  const theme = activeTheme;
+  return contextMenu.append('div')
+    .style('padding', '8px 16px')
+    .style('cursor', 'pointer')
+    .style('color', theme.menu.text)
+    .html(html)
+    .on('mouseover', function() {
+      d3.select(this).style('background', theme.menu.hover);
+    })
+    .on('mouseout', function() {
+      d3.select(this).style('background', theme.menu.background);
+    })
+    .on('click', function(event) {
+      if (!keepOpen) contextMenu.style('display', 'none');
+      onClick.call(this, event);
+    });
+}
+
+/**
+ * Adds right-click context menu with copy and download options
+ */
+function addRightClickCopy(svg, containerId, getData = null) {
+  const theme = activeTheme;
+
+  // Create context menu element
+  const contextMenuId = `context-menu-${containerId}`;
+  
+  // Remove existing context menu if it exists
+  d3.select(`#${contextMenuId}`).remove();
+  
+  const contextMenu = d3.select('body').append('div')
+    .attr('id', contextMenuId)
+    .style('position', 'absolute')
+    .style('display', 'none')
+    .style('background', theme.menu.background)
+    .style('border', `1px solid ${theme.menu.border}`)
+    .style('border-radius', '4px')
+    .style('box-shadow', theme.menu.shadow)
+    .style('padding', '8px 0')
+    .style('z-index', '1000')
+    .style('font-family', theme.fonts.ui)
+    .style('font-size', '14px')
+    .style('min-width', '180px');
+
+  // Add copy option
+  const copyOption = appendMenuItem(contextMenu, '📋 Copy Chart to Clipboard', function() {
+    // Create a temporary status element for feedback
+    const statusDiv = d3.select(this);
+    copyChartToClipboard(svg.node(), {
+      textContent: '📋 Copy Chart to Clipboard',
+      set textContent(value) {
+        statusDiv.html(value);
+      },
+      get textContent() {
+        return statusDiv.text();
+      },
+      disabled: false,
+      style: {
+        background: theme.menu.hover,
+        set background(value) {
+          statusDiv.style('background', value);
+        }
+      }
+    });
+  }, { keepOpen: true });
+
+  // Download options - same output as exportChart()
+  [
+    { html: '🖼️ Download PNG', format: 'png' },
+    { html: '🔍 Download High-Resolution PNG (4×)', format: 'png', scale: 4 },
+    { html: '📷 Download JPEG', format: 'jpeg' },
+    { html: '📐 Download SVG', format: 'svg' }
+  ].forEach(({ html, ...options }) => {
+    appendMenuItem(contextMenu, html, function() {
+      exportChart(containerId, { ...options, filename: true })
+        .catch(err => console.error('Chart export failed:', err));
+    });
+  });
+
+  // Raw data downloads
+  if (getData) {
+    const title = svg.select(':scope > title').text();
+    const fileStem = chartFileName(svg.node(), 'csv').replace(/\.csv$/, '');
+    appendMenuItem(contextMenu, '📄 Download CSV', () => downloadChartData(getData(), 'csv', fileStem, title));
+    appendMenuItem(contextMenu, '📗 Download .xlsx', () => downloadChartData(getData(), 'xlsx', fileStem, title));
+  }
+
+  // Add right-click event to SVG
+  svg.on('contextmenu', function(event) {
+    event.preventDefault();
+    showContextMenu(contextMenu, event.pageX, event.pageY);
+  });
+
+  addMenuKeyboardSupport(contextMenu, svg);
+
+  // Hide context menu when clicking elsewhere or on Escape
+  addContextMenuDismissal();
+
+  return contextMenu;
+}
+
+// Narrower containers get a chart laid out at this width and scaled down through the viewBox
+const MIN_CHART_LAYOUT_WIDTH = 480;
+
+/**
+ * Resolve the layout size of a chart
+ * Width comes from config or the container's content box; height from config or width / aspectRatio
+ */
+function resolveChartSize(containerId, { width, height, aspectRatio = 2 } = {}) {
+  const node = document.getElementById(containerId);
+  let available = 0;
+  if (node) {
+    const style = window.getComputedStyle(node);
+    available = node.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+  }
+
+  const layoutWidth = width || (available > 0 ? Math.max(Math.floor(available), MIN_CHART_LAYOUT_WIDTH) : 800);
+  const layoutHeight = height || Math.round(layoutWidth / aspectRatio);
+  return { width: layoutWidth, height: layoutHeight };
+}
+
+// SVG setup helper - size options: { width, height, aspectRatio }
+function setupSVG(containerId, size = {}) {
+  const container = d3.select(`#${containerId}`);
+  container.selectAll('*').remove(); // Clear existing content
+  
+  const { width, height } = resolveChartSize(containerId, size);
+  const margin = { top: 60, right: 80, bottom: 80, left: 80 };
+  const innerWidth = width - margin.left - margin.right;
+  const innerHeight = height - margin.bottom - margin.top;
+  
+  // The viewBox keeps the layout; CSS scales it down to fit the container
+  const svg = container
+    .append('svg')
+    .attr('width', width)
+    .attr('height', height)
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('preserveAspectRatio', 'xMidYMid meet')
+    .style('max-width', '100%')
+    .style('height', 'auto')
+    .attr('font-family', activeTheme.fonts.chart)
+    .style('background', activeTheme.chart.background)
+    .style('color', activeTheme.chart.text)
+    .style('fill', activeTheme.chart.text);
+    
+  const g = svg.append('g')
+    .attr('transform', `translate(${margin.left},${margin.top})`);
+    
+  return { svg, g, width: innerWidth, height: innerHeight, margin };
+}
+
+// Tooltip helper - one tooltip per chart container, replaced when the chart is redrawn
+function createTooltip(containerId = null) {
+  if (containerId) {
+    d3.select(`#tooltip-${containerId}`).remove();
+  }
+
+  return d3.select('body')
+    .append('div')
+    .attr('id', containerId ? `tooltip-${containerId}` : null)
+    .attr('class', 'chart-tooltip')
+    .style('position', 'absolute')
+    .style('background', activeTheme.tooltip.background)
+    .style('color', activeTheme.tooltip.text)
+    .style('font-family', activeTheme.fonts.ui)
+    .style('padding', '8px 12px')
+    .style('border-radius', '4px')
+    .style('font-size', '12px')
+    .style('pointer-events', 'none')
+    .style('opacity', 0)
+    .style('z-index', 1000);
+}
+
+function showTooltip(tooltip, event, html) {
+  tooltip.style('opacity', 1)
+    .html(html)
+    .style('left', (event.pageX + 10) + 'px')
+    .style('top', (event.pageY - 10) + 'px');
+}
+
+// Keyboard focus has no pointer position, so tooltips are placed next to the focused mark
+function showTooltipAt(tooltip, element, html) {
+  const rect = element.getBoundingClientRect();
+  tooltip.style('opacity', 1)
+    .html(html)
+    .style('left', (rect.left + window.scrollX + rect.width / 2 + 10) + 'px')
+    .style('top', (rect.top + window.scrollY - 10) + 'px');
+}
+
+// Plain-text version of tooltip HTML, used for aria-labels
+function tooltipText(html) {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, ', ')
+    .replace(/<[^>]*>/g, '')
+    // Labels in tooltips are escaped with escapeHTML
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Hidden on screen but read by screen readers
+const VISUALLY_HIDDEN_STYLE = 'position:absolute;width:1px;height:1px;padding:0;margin:-1px;' +
+  'overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+
+function formatAccessibleValue(value) {
+  if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) {
+    return 'no data';
+  }
+  return typeof value === 'number' ?
+    formatNumber(value, 'number', { decimals: 2 }) :
+    String(value);
+}
+
+function formatAccessiblePercent(value) {
+  return typeof value === 'number' && !isNaN(value) ? formatNumber(value, 'percentage') : formatAccessibleValue(value);
+}
+
+/**
+ * Generated text summary of a chart's data
+ * e.g. "Bar chart with 3 categories and 2 series (Male, Female). Highest: 2020 (Male) at 45; lowest: 2019 (Female) at 3."
+ */
+function summarizeChartData({ kind, labels, series, format = formatAccessibleValue, extremes = true }) {
+  let summary = `${kind} with ${labels.length} ${labels.length === 1 ? 'category' : 'categories'}`;
+  if (series.length > 1) {
+    summary += ` and ${series.length} series (${series.map(s => s.name).join(', ')})`;
+  }
+  summary += '.';
+
+  const points = series.flatMap(s => labels.map((label, i) => ({ series: s.name, label, value: s.values[i] })))
+    .filter(p => typeof p.value === 'number' && !isNaN(p.value));
+
+  if (extremes && points.length > 1) {
+    const highest = points.reduce((a, b) => b.value > a.value ? b : a);
+    const lowest = points.reduce((a, b) => b.value < a.value ? b : a);
+    const name = p => series.length > 1 ? `${p.label} (${p.series})` : p.label;
+    summary += ` Highest: ${name(highest)} at ${format(highest.value)}; lowest: ${name(lowest)} at ${format(lowest.value)}.`;
+  }
+  return summary;
+}
+
+/**
+ * Accessibility annotations refreshed on every render:
+ * role="img" (or "group" with focusable marks) with an aria-label, <title> and <desc> on the SVG, plus a visually hidden data table
+ * after it in the container. series: [{ name, values }] aligned with labels.
+ */
+function annotateChart(svg, containerId, { title = '', kind, labels, series, format = formatAccessibleValue, extremes = true }) {
+  const textLabels = labels.map(label => String(label));
+  const summary = summarizeChartData({ kind, labels: textLabels, series, format, extremes });
+  const name = title || kind;
+
+  svg.attr('role', svg.attr('role') === 'group' ? 'group' : 'img')
+    .attr('aria-label', title ? `${title}. ${summary}` : summary);
+
+  let titleElement = svg.selectChildren('title');
+  if (titleElement.empty()) {
+    titleElement = svg.insert('title', ':first-child');
+  }
+  titleElement.text(name);
+
+  let desc = svg.selectChildren('desc');
+  if (desc.empty()) {
+    desc = svg.insert('desc', () => titleElement.node().nextSibling);
+  }
+  desc.text(summary);
+
+  // Data table fallback
+  const container = d3.select(`#${containerId}`);
+  let table = container.selectChildren('table.chart-data-table');
+  if (table.empty()) {
+    table = container.append('table')
+      .attr('class', 'chart-data-table')
+      .attr('style', VISUALLY_HIDDEN_STYLE);
+  }
+  table.selectAll('*').remove();
+
+  table.append('caption').text(`${name} (data table)`);
+
+  const headerRow = table.append('thead').append('tr');
+  headerRow.append('th').attr('scope', 'col').text('Category');
+  series.forEach(s => headerRow.append('th').attr('scope', 'col').text(s.name));
+
+  const tbody = table.append('tbody');
+  textLabels.forEach((label, i) => {
+    const row = tbody.append('tr');
+    row.append('th').attr('scope', 'row').text(label);
+    series.forEach(s => row.append('td').text(format(s.values[i])));
+  });
+
+  return table;
+}
+
+/**
+ * Make a chart's marks (bars, slices, points) reachable from the keyboard
+ * The SVG becomes a group of labelled marks with a single tab stop (roving tabindex): arrow keys,
+ * Home and End move between marks, and from the SVG itself into them. Focus shows the hover tooltip
+ */
+function makeMarksFocusable(svg, marks, tooltip, tooltipHtml) {
+  // Children of role="img" are presentational, so their labels would never be announced
+  svg.attr('role', 'group');
+  const markNodes = () => svg.selectAll('[tabindex]').nodes().filter(node => node !== svg.node());
+
+  marks
+    .attr('role', 'img')
+    .attr('tabindex', -1)
+    .on('focus', function(event, d) {
+      markNodes().forEach(node => node.setAttribute('tabindex', node === this ? 0 : -1));
+      showTooltipAt(tooltip, this, tooltipHtml(d));
+    })
+    .on('blur', () => tooltip.style('opacity', 0));
+
+  const nodes = markNodes();
+  if (nodes.length && !nodes.some(node => node.getAttribute('tabindex') === '0')) {
+    nodes[0].setAttribute('tabindex', 0);
+  }
+
+  svg.on('keydown.navigate', function(event) {
+    const list = markNodes();
+    const index = list.indexOf(event.target);
+    if (!list.length || (index < 0 && event.target !== svg.node())) return;
+
+    const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+    let next;
+    if (event.key === 'Home') {
+      next = 0;
+    } else if (event.key === 'End') {
+      next = list.length - 1;
+    } else if (step) {
+      next = index < 0 ? 0 : (index + step + list.length) % list.length;
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    list[next].focus();
+  });
+
+  return marks;
+}
+
+/**
+ * Transition helper for chart updates
+ * The first draw applies attributes immediately so the chart is complete when create*Chart returns;
+ * update() animates from the previous state and resolves when the transition ends
+ */
+function chartTransition(svg, animate, duration = 750) {
+  const transition = animate ? svg.transition('update').duration(duration) : null;
+  return {
+    animate,
+    transition,
+    apply: selection => transition ? selection.transition(transition) : selection,
+    end: () => transition ? transition.end().catch(() => {}) : Promise.resolve()
+  };
+}
+
+/**
+ * Capture the theme, color scheme and number format a chart was drawn with
+ * Wrapped functions (update handlers, tooltips, table sorting) run with the same colors and locale
+ * even after other reports are built; `this` is passed through for D3 event handlers
+ */
+function captureChartContext() {
+  const theme = activeTheme;
+  const scheme = activeColorScheme;
+  const numberFormat = activeNumberFormat;
+  return fn => function(...args) {
+    activeTheme = theme;
+    activeColorScheme = scheme;
+    activeNumberFormat = numberFormat;
+    return fn.apply(this, args);
+  };
+}
+
+// One ResizeObserver per chart container, replaced when the chart is recreated
+const chartResizeObservers = new Map();
+
+/**
+ * Call relayout when the container's width changes
+ * Charts with a fixed config width, and environments without ResizeObserver, are not observed
+ */
+function observeChartResize(containerId, config, relayout) {
+  const previous = chartResizeObservers.get(containerId);
+  if (previous) {
+    previous.disconnect();
+    chartResizeObservers.delete(containerId);
+  }
+
+  const node = document.getElementById(containerId);
+  if (config.width || !node || typeof ResizeObserver === 'undefined') {
+    return null;
+  }
+
+  let lastWidth = node.clientWidth;
+  let timer = null;
+  const observer = new ResizeObserver(() => {
+    if (!node.isConnected) {
+      observer.disconnect();
+      chartResizeObservers.delete(containerId);
+      return;
+    }
+
+    const width = node.clientWidth;
+    if (!width || width === lastWidth) return;
+    lastWidth = width;
+
+    // Debounce so dragging a window edge redraws once
+    clearTimeout(timer);
+    timer = setTimeout(relayout, 100);
+  });
+
+  observer.observe(node);
+  chartResizeObservers.set(containerId, observer);
+  return observer;
+}
+
+/**
+ * Draw a chart that re-lays itself out when its container is resized
+ * draw(...args) renders the chart and returns a handle with update(...args); on resize it is
+ * re-run with the latest data. The returned handle stays valid across re-layouts.
+ */
+function responsiveChart(containerId, config, draw, ...args) {
+  const inContext = captureChartContext();
+  let latest = args;
+  let chart = draw(...args);
+
+  const { update, ...parts } = chart;
+  const handle = {
+    ...parts,
+    update: inContext((...args) => {
+      latest = args;
+      return chart.update(...args);
+    })
+  };
+
+  observeChartResize(containerId, config, inContext(() => {
+    chart = draw(...latest);
+    const { update, ...parts } = chart;
+    Object.assign(handle, parts);
+  }));
+
+  return handle;
+}
+
+// Axis title helper - vertical titles sit left of the plot, horizontal ones below it
+function addAxisTitle(svg, text, width, height, orientation = 'vertical') {
+  if (!text) return null;
+
+  const title = svg.append('text')
+    .attr('class', 'axis-title')
+    .style('text-anchor', 'middle')
+    .style('font-size', '14px')
+    .text(text);
+
+  if (orientation === 'vertical') {
+    title
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -height / 2 - 60)
+      .attr('y', 20);
+  } else {
+    title
+      .attr('x', width / 2 + 80)
+      .attr('y', height + 60 + 50);
+  }
+  return title;
+}
+
+/**
+ * Value-axis tick format from a yAxis config
+ * format: 'number', 'currency', 'percent', 'decimal', 'compact' or a function (value => string)
+ * Currency ticks on a linear scale get as many decimals as the tick step needs unless decimals is set
+ */
+function valueAxisFormat(axis = {}, scale = null) {
+  const { format, decimals, compact } = axis;
+  if (typeof format === 'function') return format;
+
+  const options = {
+    ...(decimals !== undefined ? { decimals } : {}),
+    ...(compact ? { compact: true } : {})
+  };
+  switch (format) {
+    case 'currency': {
+      const compactTicks = compact || (activeNumberFormat || DEFAULT_NUMBER_FORMAT).compactAxes;
+      if (decimals === undefined && !compactTicks && scale && typeof scale.base !== 'function') {
+        const [start, stop] = scale.domain();
+        const step = Math.abs(d3.tickStep(start, stop, axis.ticks || 10));
+        if (step > 0) options.decimals = d3.precisionFixed(step);
+      }
+      return axisNumberFormat('currency', options);
+    }
+    case 'percent':
+    case 'percentage':
+      return axisNumberFormat('percentage', { decimals: 0, ...options });
+    case 'compact':
+      return axisNumberFormat('number', { compact: true, ...options });
+    case 'decimal':
+    case 'number':
+      return axisNumberFormat(format, options);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Value scale for a chart's data values and yAxis config
+ * yAxis: { scale: 'linear' | 'log', min, max } - explicit bounds replace the rounded data bounds,
+ * and marks reaching past them are clamped to the plot. Linear scales include zero so bars have a baseline
+ */
+function createValueScale(values, range, axis = {}, containerId = '') {
+  const numbers = values
+    .filter(v => v !== null && v !== undefined && v !== '')
+    .map(Number)
+    .filter(v => !isNaN(v));
+  const hasMin = axis.min !== undefined && axis.min !== null;
+  const hasMax = axis.max !== undefined && axis.max !== null;
+  let isLog = axis.scale === 'log';
+  let lower;
+  let upper;
+
+  if (isLog) {
+    const positive = numbers.filter(v => v > 0);
+    if (positive.length < numbers.length) {
+      console.warn(`Log scale in "${containerId}" cannot show values <= 0; they are drawn at the axis minimum`);
+    }
+    if (!positive.length && !(hasMin && axis.min > 0)) {
+      console.warn(`Log scale in "${containerId}" has no positive values; using a linear scale`);
+      isLog = false;
+    } else {
+      [lower, upper] = positive.length ? d3.extent(positive) : [axis.min, axis.min];
+      // Start a power of ten below the smallest value, so its bar still has a height
+      lower = Math.pow(10, Math.ceil(Math.log10(lower)) - 1);
+    }
+  }
+  if (!isLog) {
+    lower = Math.min(0, d3.min(numbers) || 0);
+    upper = Math.max(0, d3.max(numbers) || 0);
+  }
+
+  // Explicit bounds replace the data bounds; the other end is rounded from what remains
+  const useMin = hasMin && !(isLog && axis.min <= 0);
+  if (useMin) {
+    lower = axis.min;
+    upper = Math.max(upper, lower);
+  }
+  if (hasMax) {
+    upper = axis.max;
+    lower = Math.min(lower, upper);
+  }
+  if (upper === lower) {
+    upper = isLog ? lower * 10 : lower + 1;
+  }
+
+  const scale = (isLog ? d3.scaleLog() : d3.scaleLinear())
+    .domain([lower, upper])
+    .range(range)
+    .nice(axis.ticks);
+
+  if (useMin || hasMax) {
+    const [niceLower, niceUpper] = scale.domain();
+    scale.domain([useMin ? axis.min : niceLower, hasMax ? axis.max : niceUpper]);
   }
+  if (isLog || useMin || hasMax) {
+    scale.clamp(true);
+  }
+  return scale;
 }
 
-// Color configuration
-const CHART_COLORS = {
-  primary: '#3498db',
-  secondary: '#2ecc71',
-  accent: '#f39c12',
-  palette: [
-    '#3498db', '#2ecc71', '#f39c12', '#e74c3c', '#9b59b6', 
-    '#1abc9c', '#34495e', '#f1c40f', '#e67e22', '#95a5a6',
-    '#2980b9', '#27ae60', '#d35400', '#c0392b', '#8e44ad'
-  ],
-  gender: {
-    male: '#4a90e2',
-    female: '#50e3c2'
+/**
+ * Apply tick count and format to a value axis
+ * Log scales label only the ticks d3 picks for the count (1, 2, 5, 10...) so labels don't collide
+ */
+function configureValueAxis(axisGenerator, scale, axis = {}, defaultFormat = axisNumberFormat()) {
+  const format = valueAxisFormat(axis, scale) || defaultFormat;
+  if (axis.ticks) {
+    axisGenerator.ticks(axis.ticks);
   }
-};
+  if (typeof scale.base === 'function') {
+    const labelled = scale.tickFormat(axis.ticks || 10);
+    axisGenerator.tickFormat(d => labelled(d) ? format(d) : '');
+  } else {
+    axisGenerator.tickFormat(format);
+  }
+  return axisGenerator;
+}
 
-// Helper function to get colors
-function getColors(count, type = 'palette') {
-  if (type === 'gender') {
-    return [CHART_COLORS.gender.male, CHART_COLORS.gender.female];
+/**
+ * Gridlines across the plot at the value-axis ticks (yAxis.gridlines)
+ */
+function renderGridlines(t, group, scale, axis, orientation, length) {
+  if (!axis.gridlines) {
+    group.selectAll('*').remove();
+    return;
   }
-  const colors = [];
-  for (let i = 0; i < count; i++) {
-    colors.push(CHART_COLORS.palette[i % CHART_COLORS.palette.length]);
+
+  const grid = (orientation === 'bottom' ? d3.axisBottom(scale) : d3.axisLeft(scale))
+    .tickSize(-length)
+    .tickFormat('');
+  if (axis.ticks) {
+    grid.ticks(axis.ticks);
   }
-  return colors;
+
+  t.apply(group).call(grid);
+  group.select('.domain').remove();
+  group.selectAll('.tick line')
+    .attr('stroke', activeTheme.chart.grid)
+    .attr('shape-rendering', 'crispEdges');
+}
+
+// Rendered text width, estimated from the font size where layout is unavailable (e.g. jsdom)
+function measureText(textNode) {
+  const measured = typeof textNode.getComputedTextLength === 'function' ? textNode.getComputedTextLength() : 0;
+  return measured || textNode.textContent.length * 10 * 0.6;
 }
 
 /**
- * Adds right-click context menu with copy option
+ * Fit category tick labels: truncate, rotate or wrap them so long names don't overlap
+ * xAxis: { labelRotation: degrees | 'auto', wrap: true | false | max width in px, maxLines, maxLabelLength }
+ * Labels wrap onto several lines by default when wider than their band; 'auto' rotates them -45° instead
  */
-function addRightClickCopy(svg, containerId) {
-  // Create context menu element
-  const contextMenuId = `context-menu-${containerId}`;
-  
-  // Remove existing context menu if it exists
-  d3.select(`#${contextMenuId}`).remove();
-  
-  const contextMenu = d3.select('body').append('div')
-    .attr('id', contextMenuId)
-    .style('position', 'absolute')
-    .style('display', 'none')
-    .style('background', 'white')
-    .style('border', '1px solid #ccc')
-    .style('border-radius', '4px')
-    .style('box-shadow', '0 2px 8px rgba(0,0,0,0.15)')
-    .style('padding', '8px 0')
-    .style('z-index', '1000')
-    .style('font-family', 'Arial, sans-serif')
-    .style('font-size', '14px')
-    .style('min-width', '180px');
+function layoutCategoryLabels(axisGroup, axis = {}, bandWidth, orientation = 'bottom') {
+  const {
+    labelRotation = 0,
+    wrap = true,
+    maxLines = 3,
+    maxLabelLength = null
+  } = axis;
+  // Category ticks carry their label as data; labels already wrapped by an earlier pass are left alone
+  const texts = axisGroup.selectAll('.tick text').filter(function() {
+    return !this.querySelector('tspan');
+  });
 
-  // Add copy option
-  const copyOption = contextMenu.append('div')
-    .style('padding', '8px 16px')
-    .style('cursor', 'pointer')
-    .style('color', '#333')
-    .html('📋 Copy Chart to Clipboard')
-    .on('mouseover', function() {
-      d3.select(this).style('background', '#f0f0f0');
-    })
-    .on('mouseout', function() {
-      d3.select(this).style('background', 'white');
-    })
-    .on('click', function() {
-      contextMenu.style('display', 'none');
-      
-      // Create a temporary status element for feedback
-      const statusDiv = d3.select(this);
-      copyChartToClipboard(svg.node(), {
-        textContent: '📋 Copy Chart to Clipboard',
-        set textContent(value) {
-          statusDiv.html(value);
-        },
-        get textContent() {
-          return statusDiv.text();
-        },
-        disabled: false,
-        style: {
-          background: '#f0f0f0',
-          set background(value) {
-            statusDiv.style('background', value);
-          }
-        }
-      });
+  if (maxLabelLength) {
+    texts.text(function(d) {
+      const label = typeof d === 'string' ? d : this.textContent;
+      return label.length > maxLabelLength ? `${label.slice(0, maxLabelLength - 1).trimEnd()}…` : label;
     });
+  }
 
-  // Add right-click event to SVG
-  svg.on('contextmenu', function(event) {
-    event.preventDefault();
-    
-    // Hide any existing context menus
-    d3.selectAll('[id^="context-menu-"]').style('display', 'none');
-    
-    // Show this context menu
-    contextMenu
-      .style('left', (event.pageX) + 'px')
-      .style('top', (event.pageY) + 'px')
-      .style('display', 'block');
-  });
+  const widest = d3.max(texts.nodes(), measureText) || 0;
+  const rotation = labelRotation === 'auto' ? (widest > bandWidth ? -45 : 0) : Number(labelRotation) || 0;
 
-  // Hide context menu when clicking elsewhere
-  document.addEventListener('click', function(event) {
-    if (!contextMenu.node().contains(event.target)) {
-      contextMenu.style('display', 'none');
-    }
+  if (rotation && orientation === 'bottom') {
+    texts
+      .attr('transform', `rotate(${rotation})`)
+      .attr('dx', rotation < 0 ? '-0.6em' : '0.6em')
+      .attr('dy', Math.abs(rotation) >= 90 ? '0.32em' : '0.5em')
+      .style('text-anchor', rotation < 0 ? 'end' : 'start');
+    return;
+  }
+
+  if (!wrap) return;
+  const maxWidth = typeof wrap === 'number' ? wrap : bandWidth;
+  texts.each(function() {
+    wrapTickLabel(d3.select(this), maxWidth, maxLines, orientation);
   });
+}
 
-  // Also hide on escape key
-  document.addEventListener('keydown', function(event) {
-    if (event.key === 'Escape') {
-      contextMenu.style('display', 'none');
+// Break one tick label into tspans of at most maxWidth, ending with … past maxLines
+function wrapTickLabel(text, maxWidth, maxLines, orientation) {
+  const words = text.text().split(/\s+/).filter(Boolean);
+  if (words.length < 2 || measureText(text.node()) <= maxWidth) return;
+
+  const x = text.attr('x') || 0;
+  const dy = parseFloat(text.attr('dy')) || 0;
+  const lineHeight = 1.1;
+  const lines = [];
+  let line = [];
+
+  text.text(null);
+  const probe = text.append('tspan');
+  words.forEach(word => {
+    probe.text([...line, word].join(' '));
+    if (line.length && measureText(probe.node()) > maxWidth) {
+      lines.push(line.join(' '));
+      line = [word];
+    } else {
+      line.push(word);
     }
   });
+  lines.push(line.join(' '));
+  probe.remove();
 
-  return contextMenu;
-}
+  if (lines.length > maxLines) {
+    lines.splice(maxLines - 1, lines.length, `${lines[maxLines - 1]}…`);
+  }
 
-// SVG setup helper
-function setupSVG(containerId, width = 800, height = 400) {
-  const container = d3.select(`#${containerId}`);
-  container.selectAll('*').remove(); // Clear existing content
-  
-  const margin = { top: 60, right: 80, bottom: 80, left: 80 };
-  const innerWidth = width - margin.left - margin.right;
-  const innerHeight = height - margin.bottom - margin.top;
-  
-  const svg = container
-    .append('svg')
-    .attr('width', width)
-    .attr('height', height)
-    .style('background', 'white');
-    
-  const g = svg.append('g')
-    .attr('transform', `translate(${margin.left},${margin.top})`);
-    
-  return { svg, g, width: innerWidth, height: innerHeight, margin };
+  // Left-axis labels stay vertically centered on their tick
+  const firstDy = orientation === 'left' ? dy - (lines.length - 1) * lineHeight / 2 : dy;
+  lines.forEach((content, i) => {
+    text.append('tspan')
+      .attr('x', x)
+      .attr('dy', `${i === 0 ? firstDy : lineHeight}em`)
+      .text(content);
+  });
 }
 
-// Tooltip helper
-function createTooltip() {
-  return d3.select('body')
-    .append('div')
-    .style('position', 'absolute')
-    .style('background', 'rgba(0,0,0,0.8)')
-    .style('color', 'white')
-    .style('padding', '8px 12px')
-    .style('border-radius', '4px')
-    .style('font-size', '12px')
-    .style('pointer-events', 'none')
-    .style('opacity', 0)
-    .style('z-index', 1000);
+/**
+ * Shared drawing routine for bar charts
+ * datasets: [{ label, data, color, colors, originalData }] - `colors` gives one color per category
+ * Modes: 'grouped' (side by side), 'stacked' and 'normalized' (100% stacked)
+ * options.toDatasets(labels, data) converts the caller's data into datasets on every render
+ * Returns the chart handle; update(labels, data) joins new data with transitions
+ */
+function drawBarChart(containerId, labels, data, options = {}) {
+  const {
+    toDatasets = (labels, data) => data,
+    mode = 'grouped',
+    horizontal = false,
+    yAxisTitle = '',
+    yDomain = null,
+    tickFormat = null,
+    xAxis = {},
+    yAxis = {},
+    tooltipHtml: formatTooltip = d => `${escapeHTML(d.label)}<br/>${escapeHTML(d.key)}: ${formatNumber(Number(d.value))}`,
+    accessibleTitle = '',
+    valueFormat = formatAccessibleValue,
+    showExtremes = true,
+    transitionDuration = 750
+  } = options;
+  const isStacked = mode === 'stacked' || mode === 'normalized';
+  // Tooltips open long after drawing; format them with this chart's locale
+  const tooltipHtml = captureChartContext()(formatTooltip);
+  const kind = mode === 'normalized' ? '100% stacked bar chart' :
+               mode === 'stacked' ? 'Stacked bar chart' :
+               'Bar chart';
+
+  const { svg, g, width, height, margin } = setupSVG(containerId, options);
+  const tooltip = createTooltip(containerId);
+
+  const categoryLength = horizontal ? height : width;
+  const valueLength = horizontal ? width : height;
+
+  const gridGroup = g.append('g')
+    .attr('class', 'grid')
+    .attr('aria-hidden', 'true')
+    .attr('transform', horizontal ? `translate(0,${height})` : null);
+  const barLayer = g.append('g').attr('class', 'bars');
+  const xAxisGroup = g.append('g')
+    .attr('class', 'axis axis--x')
+    .attr('transform', `translate(0,${height})`);
+  const yAxisGroup = g.append('g')
+    .attr('class', 'axis axis--y');
+
+  addAxisTitle(svg, yAxisTitle, width, height, horizontal ? 'horizontal' : 'vertical');
+
+  // Raw data of the latest render, for getData() and the data downloads
+  let chartData = null;
+
+  function render(labels, data, animate) {
+    const t = chartTransition(svg, animate, transitionDuration);
+    const datasets = toDatasets(labels, data);
+    const seriesNames = datasets.map(d => d.label);
+    const single = datasets.length === 1;
+    const byName = new Map(datasets.map(d => [d.label, d]));
+    const fillFor = (dataset, i) =>
+      (dataset.colors && dataset.colors[i % dataset.colors.length]) || dataset.color;
+
+    // Build one segment per bar: start/end along the value axis
+    const rows = labels.map((label, i) => {
+      const row = { label, index: i };
+      datasets.forEach(dataset => {
+        row[dataset.label] = dataset.data[i];
+      });
+      return row;
+    });
+
+    let segments;
+    if (isStacked) {
+      const stack = d3.stack()
+        .keys(seriesNames)
+        .value((d, key) => Number(d[key]) || 0);
+      if (mode === 'normalized') {
+        stack.offset(d3.stackOffsetExpand);
+      }
+
+      segments = stack(rows).flatMap(layer => layer.map(p => {
+        const total = d3.sum(seriesNames, key => Number(p.data[key]) || 0);
+        const dataset = byName.get(layer.key);
+        const value = p.data[layer.key];
+        return {
+          key: layer.key,
+          label: p.data.label,
+          index: p.data.index,
+          value,
+          start: p[0],
+          end: p[1],
+          share: total ? (Number(value) || 0) / total * 100 : 0,
+          fill: fillFor(dataset, p.data.index)
+        };
+      }));
+    } else {
+      segments = rows.flatMap(row => datasets.map(dataset => ({
+        key: dataset.label,
+        label: row.label,
+        index: row.index,
+        value: row[dataset.label],
+        original: dataset.originalData ? dataset.originalData[row.index] : undefined,
+        start: 0,
+        end: Number(row[dataset.label]) || 0,
+        fill: fillFor(dataset, row.index)
+      })));
+    }
+
+    // Scales - category axis is x when vertical, y when horizontal
+    const x0 = d3.scaleBand()
+      .domain(labels)
+      .rangeRound([0, categoryLength])
+      .paddingInner(0.1)
+      .paddingOuter(single ? 0.1 : 0);
+
+    const x1 = d3.scaleBand()
+      .domain(seriesNames)
+      .rangeRound([0, x0.bandwidth()])
+      .padding(0.05);
+
+    // Stack starts are earlier segments' ends (or zero), so the ends cover the value extent
+    const valueRange = horizontal ? [0, valueLength] : [valueLength, 0];
+    const y = yDomain || mode === 'normalized' ?
+      d3.scaleLinear().domain(yDomain || [0, 1]).range(valueRange) :
+      createValueScale(segments.map(d => d.end), valueRange, yAxis, containerId);
+
+    const fullBand = isStacked || single;
+    const bandStart = d => fullBand ? x0(d.label) : x0(d.label) + x1(d.key);
+    const bandWidth = fullBand ? x0.bandwidth() : x1.bandwidth();
+
+    const geometry = horizontal ? {
+      x: d => y(Math.min(d.start, d.end)),
+      y: bandStart,
+      width: d => Math.abs(y(d.end) - y(d.start)),
+      height: bandWidth
+    } : {
+      x: bandStart,
+      y: d => y(Math.max(d.start, d.end)),
+      width: bandWidth,
+      height: d => Math.abs(y(d.start) - y(d.end))
+    };
+
+    // Join bars by series and category
+    const bars = barLayer.selectAll('.bar')
+      .data(segments, d => `${d.key}\u0000${d.label}`);
+
+    t.apply(bars.exit())
+      .attr(horizontal ? 'x' : 'y', y(0))
+      .attr(horizontal ? 'width' : 'height', 0)
+      .remove();
+
+    const entered = bars.enter().append('rect')
+      .attr('class', 'bar')
+      .attr('x', horizontal ? d => y(d.start) : geometry.x)
+      .attr('y', horizontal ? geometry.y : d => y(d.start))
+      .attr('width', horizontal ? 0 : geometry.width)
+      .attr('height', horizontal ? geometry.height : 0)
+      .attr('fill', d => d.fill)
+      .on('mouseover', function(event, d) {
+        showTooltip(tooltip, event, tooltipHtml(d));
+      })
+      .on('mouseout', () => tooltip.style('opacity', 0));
+
+    makeMarksFocusable(svg, entered, tooltip, tooltipHtml);
+    entered.merge(bars).attr('aria-label', d => tooltipText(tooltipHtml(d)));
+
+    t.apply(entered.merge(bars))
+      .attr('x', geometry.x)
+      .attr('y', geometry.y)
+      .attr('width', geometry.width)
+      .attr('height', geometry.height)
+      .attr('fill', d => d.fill);
+
+    // Axes
+    const valueAxis = horizontal ? d3.axisBottom(y) : d3.axisLeft(y);
+    if (mode === 'normalized') {
+      valueAxis.tickFormat(d => formatNumber(d * 100, 'percentage', { decimals: 0 }));
+    } else {
+      configureValueAxis(valueAxis, y, yAxis, tickFormat || axisNumberFormat());
+    }
+
+    renderGridlines(t, gridGroup, y, yAxis, horizontal ? 'bottom' : 'left', horizontal ? height : width);
+    t.apply(xAxisGroup).call(horizontal ? valueAxis : d3.axisBottom(x0));
+    t.apply(yAxisGroup).call(horizontal ? d3.axisLeft(x0) : valueAxis);
+
+    // Axis transitions set tick text when they start, so labels are fitted once they finish
+    const fitLabels = () => layoutCategoryLabels(horizontal ? yAxisGroup : xAxisGroup, xAxis,
+      horizontal ? margin.left - 12 : x0.step(), horizontal ? 'left' : 'bottom');
+    if (!t.animate) fitLabels();
+
+    chartData = {
+      labels,
+      series: datasets.map(dataset => ({ name: dataset.label, values: dataset.originalData || dataset.data }))
+    };
+
+    annotateChart(svg, containerId, {
+      title: accessibleTitle,
+      kind,
+      ...chartData,
+      format: valueFormat,
+      extremes: showExtremes
+    });
+
+    return t.end().then(() => {
+      if (t.animate) fitLabels();
+    });
+  }
+
+  render(labels, data, false);
+
+  const getData = () => ({
+    labels: chartData.labels.slice(),
+    series: chartData.series.map(s => ({ name: s.name, values: s.values.slice() }))
+  });
+
+  // Add right-click context menu for copying and downloads
+  const contextMenu = addRightClickCopy(svg, containerId, getData);
+
+  return {
+    svg,
+    tooltip,
+    contextMenu,
+    getData,
+    update: (labels, data) => render(labels, data, true)
+  };
 }
 
 /**
  * Creates a multi-series bar chart for comparing data across categories
+ * Modes: 'grouped' (side by side), 'stacked' and 'normalized' (100% stacked)
  */
 function createMultiSeriesBarChart(containerId, labels, datasets, options = {}) {
   if (!d3) {
@@ -1227,101 +5564,42 @@ function createMultiSeriesBarChart(containerId, labels, datasets, options = {})
     return null;
   }
   
-  const { svg, g, width, height } = setupSVG(containerId);
-  
-  // Color datasets automatically
-  const coloredDatasets = datasets.map((dataset, index) => ({
-    ...dataset,
-    backgroundColor: dataset.label === 'Male' ? CHART_COLORS.gender.male :
-                    dataset.label === 'Female' ? CHART_COLORS.gender.female :
-                    CHART_COLORS.palette[index % CHART_COLORS.palette.length]
-  }));
-  
-  // Process data for D3
-  const groupedData = [];
-  labels.forEach((label, i) => {
-    const group = { label };
-    coloredDatasets.forEach((dataset) => {
-      group[dataset.label] = dataset.data[i];
-    });
-    groupedData.push(group);
-  });
-  
-  const seriesNames = coloredDatasets.map(d => d.label);
-  
-  // Scales
-  const x0 = d3.scaleBand()
-    .domain(labels)
-    .rangeRound([0, width])
-    .paddingInner(0.1);
-    
-  const x1 = d3.scaleBand()
-    .domain(seriesNames)
-    .rangeRound([0, x0.bandwidth()])
-    .padding(0.05);
-    
-  const y = d3.scaleLinear()
-    .domain([0, d3.max(groupedData, d => d3.max(seriesNames, key => d[key]))])
-    .nice()
-    .range([height, 0]);
-  
-  // Color scale
-  const color = d3.scaleOrdinal()
-    .domain(seriesNames)
-    .range(coloredDatasets.map(d => d.backgroundColor));
-  
-  // Tooltip
-  const tooltip = createTooltip();
-  
-  // Draw bars
-  const groups = g.selectAll('.group')
-    .data(groupedData)
-    .enter().append('g')
-    .attr('class', 'group')
-    .attr('transform', d => `translate(${x0(d.label)},0)`);
-  
-  groups.selectAll('.bar')
-    .data(d => seriesNames.map(key => ({ key, value: d[key], label: d.label })))
-    .enter().append('rect')
-    .attr('class', 'bar')
-    .attr('x', d => x1(d.key))
-    .attr('y', d => y(d.value))
-    .attr('width', x1.bandwidth())
-    .attr('height', d => height - y(d.value))
-    .attr('fill', d => color(d.key))
-    .on('mouseover', function(event, d) {
-      tooltip.style('opacity', 1)
-        .html(`${d.label}<br/>${d.key}: ${Number(d.value).toLocaleString(undefined, {maximumFractionDigits: 3})}`)
-        .style('left', (event.pageX + 10) + 'px')
-        .style('top', (event.pageY - 10) + 'px');
-    })
-    .on('mouseout', () => tooltip.style('opacity', 0));
-  
-  // Axes
-  g.append('g')
-    .attr('class', 'axis axis--x')
-    .attr('transform', `translate(0,${height})`)
-    .call(d3.axisBottom(x0));
-    
-  g.append('g')
-    .attr('class', 'axis axis--y')
-    .call(d3.axisLeft(y));
-  
-  // Y-axis label
-  if (options.yAxisTitle) {
-    svg.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -height / 2 - 60)
-      .attr('y', 20)
-      .style('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text(options.yAxisTitle);
-  }
-  
-  // Add right-click context menu for copying
-  const contextMenu = addRightClickCopy(svg, containerId);
-  
-  return { svg, tooltip, contextMenu };
+  const {
+    yAxisTitle,
+    mode = 'grouped',
+    horizontal = false,
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    yAxis,
+    accessibleTitle,
+    transitionDuration
+  } = options;
+  const isStacked = mode === 'stacked' || mode === 'normalized';
+
+  return responsiveChart(containerId, options, (labels, datasets) => drawBarChart(containerId, labels, datasets, {
+    mode,
+    horizontal,
+    yAxisTitle,
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    yAxis,
+    accessibleTitle,
+    transitionDuration,
+    // Color datasets automatically
+    toDatasets: (labels, datasets) => datasets.map(dataset => ({
+      ...dataset,
+      color: dataset.color || colorForLabel(dataset.label)
+    })),
+    tooltipHtml: d => {
+      const value = formatNumber(Number(d.value));
+      const detail = isStacked ? `${value} (${formatNumber(d.share, 'percentage')} of total)` : value;
+      return `${escapeHTML(d.label)}<br/>${escapeHTML(d.key)}: ${detail}`;
+    }
+  }), labels, datasets);
 }
 
 /**
@@ -1338,104 +5616,37 @@ function createPercentageBarChart(containerId, labels, data, config = {}) {
     yAxisTitle = 'Percentage',
     showLegend = false,
     horizontal = false,
-    colorType = 'single'
+    colorType = 'single',
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    yAxis,
+    accessibleTitle,
+    transitionDuration
   } = config;
 
-  const { svg, g, width, height } = setupSVG(containerId);
-  
-  // Color handling
-  const backgroundColor = colorType === 'multi' ? getColors(data.length) : [CHART_COLORS.primary];
-  const colors = Array.isArray(backgroundColor) ? backgroundColor : new Array(data.length).fill(backgroundColor);
-  
-  // Scales
-  let x, y;
-  if (horizontal) {
-    x = d3.scaleLinear()
-      .domain([0, d3.max(data)])
-      .nice()
-      .range([0, width]);
-    y = d3.scaleBand()
-      .domain(labels)
-      .range([0, height])
-      .padding(0.1);
-  } else {
-    x = d3.scaleBand()
-      .domain(labels)
-      .range([0, width])
-      .padding(0.1);
-    y = d3.scaleLinear()
-      .domain([0, d3.max(data)])
-      .nice()
-      .range([height, 0]);
-  }
-  
-  const tooltip = createTooltip();
-  
-  // Draw bars
-  const bars = g.selectAll('.bar')
-    .data(data)
-    .enter().append('rect')
-    .attr('class', 'bar')
-    .attr('fill', (d, i) => colors[i % colors.length]);
-  
-  if (horizontal) {
-    bars
-      .attr('x', 0)
-      .attr('y', (d, i) => y(labels[i]))
-      .attr('width', d => x(d))
-      .attr('height', y.bandwidth());
-  } else {
-    bars
-      .attr('x', (d, i) => x(labels[i]))
-      .attr('y', d => y(d))
-      .attr('width', x.bandwidth())
-      .attr('height', d => height - y(d));
-  }
-  
-  // Tooltips
-  bars.on('mouseover', function(event, d, i) {
-      const labelText = labels[data.indexOf(d)];
-      tooltip.style('opacity', 1)
-        .html(`${labelText}<br/>${label}: ${Number(d).toFixed(1)}%`)
-        .style('left', (event.pageX + 10) + 'px')
-        .style('top', (event.pageY - 10) + 'px');
-    })
-    .on('mouseout', () => tooltip.style('opacity', 0));
-  
-  // Axes
-  if (horizontal) {
-    g.append('g')
-      .attr('class', 'axis axis--x')
-      .attr('transform', `translate(0,${height})`)
-      .call(d3.axisBottom(x).tickFormat(d => d + '%'));
-    g.append('g')
-      .attr('class', 'axis axis--y')
-      .call(d3.axisLeft(y));
-  } else {
-    g.append('g')
-      .attr('class', 'axis axis--x')
-      .attr('transform', `translate(0,${height})`)
-      .call(d3.axisBottom(x));
-    g.append('g')
-      .attr('class', 'axis axis--y')
-      .call(d3.axisLeft(y).tickFormat(d => d + '%'));
-  }
-  
-  // Y-axis label
-  if (!horizontal && yAxisTitle) {
-    svg.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -height / 2 - 60)
-      .attr('y', 20)
-      .style('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text(yAxisTitle);
-  }
-  
-  // Add right-click context menu for copying
-  const contextMenu = addRightClickCopy(svg, containerId);
-  
-  return { svg, tooltip, contextMenu };
+  return responsiveChart(containerId, config, (labels, data) => drawBarChart(containerId, labels, data, {
+    horizontal,
+    yAxisTitle: horizontal ? '' : yAxisTitle,
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    yAxis,
+    accessibleTitle,
+    transitionDuration,
+    // Color handling
+    toDatasets: (labels, data) => [{
+      label,
+      data,
+      color: activeTheme.primary,
+      colors: colorType === 'multi' ? labels.map(l => colorForLabel(l)) : null
+    }],
+    tickFormat: axisNumberFormat('percentage', { decimals: 0 }),
+    valueFormat: formatAccessiblePercent,
+    tooltipHtml: d => `${escapeHTML(d.label)}<br/>${escapeHTML(label)}: ${formatNumber(Number(d.value), 'percentage')}`
+  }), labels, data);
 }
 
 /**
@@ -1450,69 +5661,214 @@ function createMultiColorBarChart(containerId, labels, data, config = {}) {
   const {
     label = 'Share (%)',
     yAxisTitle = 'Percentage',
-    showLegend = false
+    showLegend = false,
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    yAxis,
+    accessibleTitle,
+    transitionDuration
   } = config;
 
-  const { svg, g, width, height } = setupSVG(containerId);
-  const colors = getColors(data.length);
-  
-  // Scales
-  const x = d3.scaleBand()
-    .domain(labels)
-    .range([0, width])
-    .padding(0.1);
-    
-  const y = d3.scaleLinear()
-    .domain([0, d3.max(data)])
-    .nice()
-    .range([height, 0]);
-  
-  const tooltip = createTooltip();
-  
-  // Draw bars
-  g.selectAll('.bar')
-    .data(data)
-    .enter().append('rect')
-    .attr('class', 'bar')
-    .attr('x', (d, i) => x(labels[i]))
-    .attr('y', d => y(d))
-    .attr('width', x.bandwidth())
-    .attr('height', d => height - y(d))
-    .attr('fill', (d, i) => colors[i])
-    .on('mouseover', function(event, d, i) {
-      const labelText = labels[data.indexOf(d)];
-      tooltip.style('opacity', 1)
-        .html(`${labelText}<br/>${label}: ${Number(d).toFixed(1)}%`)
-        .style('left', (event.pageX + 10) + 'px')
-        .style('top', (event.pageY - 10) + 'px');
-    })
-    .on('mouseout', () => tooltip.style('opacity', 0));
-  
-  // Axes
-  g.append('g')
-    .attr('class', 'axis axis--x')
-    .attr('transform', `translate(0,${height})`)
-    .call(d3.axisBottom(x));
-    
-  g.append('g')
-    .attr('class', 'axis axis--y')
-    .call(d3.axisLeft(y));
-  
-  // Y-axis label
-  if (yAxisTitle) {
+  return responsiveChart(containerId, config, (labels, data) => drawBarChart(containerId, labels, data, {
+    yAxisTitle,
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    yAxis,
+    accessibleTitle,
+    transitionDuration,
+    toDatasets: (labels, data) => [{
+      label,
+      data,
+      colors: labels.map(l => colorForLabel(l))
+    }],
+    valueFormat: formatAccessiblePercent,
+    tooltipHtml: d => `${escapeHTML(d.label)}<br/>${escapeHTML(label)}: ${formatNumber(Number(d.value), 'percentage')}`
+  }), labels, data);
+}
+
+/**
+ * Shared drawing routine for pie and doughnut charts
+ * Returns the chart handle; update(labels, data) tweens slices to their new angles
+ */
+function drawPieChart(containerId, labels, data, options = {}) {
+  const {
+    showLegend = true,
+    innerRadiusRatio = 0,
+    sliceStroke = null,
+    showSliceLabels = false,
+    centerTitle = '',
+    tooltipHtml: formatTooltip = d => `${escapeHTML(d.label)}: ${formatNumber(Number(d.value), 'percentage')}`,
+    kind = 'Pie chart',
+    accessibleTitle = '',
+    valueFormat = formatAccessibleValue,
+    transitionDuration = 750
+  } = options;
+  const tooltipHtml = captureChartContext()(formatTooltip);
+
+  const { svg, g, width, height } = setupSVG(containerId, options);
+  const radius = Math.min(width, height) / 2;
+  const tooltip = createTooltip(containerId);
+
+  g.attr('transform', `translate(${width / 2}, ${height / 2})`);
+
+  // Pie and arc generators
+  const pie = d3.pie()
+    .value(d => d.value)
+    .sort(null);
+
+  const arc = d3.arc()
+    .innerRadius(innerRadiusRatio * radius)
+    .outerRadius(radius - 10);
+
+  // Center title
+  if (centerTitle) {
     svg.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -height / 2 - 60)
-      .attr('y', 20)
+      .attr('class', 'center-title')
+      .attr('x', width / 2 + 80)
+      .attr('y', 30)
       .style('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text(yAxisTitle);
+      .style('font-size', '16px')
+      .style('font-weight', 'bold')
+      .text(centerTitle);
+  }
+
+  // Legend (removed per user request in production)
+  const legend = showLegend ? svg.append('g')
+    .attr('class', 'legend')
+    .attr('transform', `translate(${width - 120}, 60)`) : null;
+
+  // Raw data of the latest render, for getData() and the data downloads
+  let chartData = null;
+
+  function render(labels, data, animate) {
+    const t = chartTransition(svg, animate, transitionDuration);
+
+    // Data preparation
+    const total = d3.sum(data, d => Number(d) || 0);
+    const pieData = labels.map((label, i) => ({
+      label,
+      value: Number(data[i]) || 0,
+      percentage: total ? (Number(data[i]) || 0) / total * 100 : 0,
+      color: colorForLabel(label)
+    }));
+
+    // Draw slices
+    const arcs = g.selectAll('.arc')
+      .data(pie(pieData), d => d.data.label);
+
+    t.apply(arcs.exit())
+      .style('opacity', 0)
+      .remove();
+
+    const entered = arcs.enter().append('g')
+      .attr('class', 'arc');
+
+    const enteredPaths = entered.append('path')
+      .attr('stroke', sliceStroke)
+      .attr('stroke-width', sliceStroke ? 2 : null)
+      .each(function(d) {
+        // New slices grow from their start angle
+        this._current = { startAngle: d.startAngle, endAngle: d.startAngle };
+      })
+      .on('mouseover', function(event, d) {
+        showTooltip(tooltip, event, tooltipHtml(d.data));
+      })
+      .on('mouseout', () => tooltip.style('opacity', 0));
+
+    makeMarksFocusable(svg, enteredPaths, tooltip, d => tooltipHtml(d.data));
+
+    if (showSliceLabels) {
+      entered.append('text')
+        .attr('dy', '0.35em')
+        .style('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .style('fill', 'white');
+    }
+
+    const merged = entered.merge(arcs);
+    const paths = merged.select('path')
+      .attr('fill', d => d.data.color)
+      .attr('aria-label', d => tooltipText(tooltipHtml(d.data)));
+
+    if (t.animate) {
+      paths.transition(t.transition)
+        .attrTween('d', function(d) {
+          const interpolate = d3.interpolate(this._current, d);
+          this._current = interpolate(1);
+          return time => arc(interpolate(time));
+        });
+    } else {
+      paths
+        .attr('d', arc)
+        .each(function(d) {
+          this._current = d;
+        });
+    }
+
+    if (showSliceLabels) {
+      t.apply(merged.select('text'))
+        .attr('transform', d => `translate(${arc.centroid(d)})`)
+        .text(d => d.data.value > 5 ? formatNumber(d.data.value, 'percentage') : '');
+    }
+
+    // Legend
+    if (legend) {
+      const items = legend.selectAll('.legend-item')
+        .data(pieData, d => d.label);
+
+      items.exit().remove();
+
+      const enteredItems = items.enter().append('g')
+        .attr('class', 'legend-item');
+
+      enteredItems.append('rect')
+        .attr('width', 15)
+        .attr('height', 15);
+
+      enteredItems.append('text')
+        .attr('x', 20)
+        .attr('y', 12)
+        .style('font-size', '12px');
+
+      const mergedItems = enteredItems.merge(items)
+        .attr('transform', (d, i) => `translate(0, ${i * 20})`);
+      mergedItems.select('rect').attr('fill', d => d.color);
+      mergedItems.select('text').text(d => d.label);
+    }
+
+    chartData = { labels, series: [{ name: 'Value', values: data }] };
+
+    annotateChart(svg, containerId, {
+      title: accessibleTitle,
+      kind,
+      ...chartData,
+      format: valueFormat
+    });
+
+    return t.end();
   }
-  
-  // Add right-click context menu for copying
-  const contextMenu = addRightClickCopy(svg, containerId);
-  
-  return { svg, tooltip, contextMenu };
+
+  render(labels, data, false);
+
+  const getData = () => ({
+    labels: chartData.labels.slice(),
+    series: chartData.series.map(s => ({ name: s.name, values: s.values.slice() }))
+  });
+
+  // Add right-click context menu for copying and downloads
+  const contextMenu = addRightClickCopy(svg, containerId, getData);
+
+  return {
+    svg,
+    tooltip,
+    contextMenu,
+    getData,
+    update: (labels, data) => render(labels, data, true)
+  };
 }
 
 /**
@@ -1524,100 +5880,26 @@ function createPieChart(containerId, labels, data, config = {}) {
     return null;
   }
   
-  const { showLegend = true } = config;
-  const { svg, g, width, height } = setupSVG(containerId);
-  
-  const radius = Math.min(width, height) / 2;
-  const colors = getColors(data.length);
-  
-  g.attr('transform', `translate(${width / 2}, ${height / 2})`);
-  
-  // Pie and arc generators
-  const pie = d3.pie()
-    .value(d => d.value)
-    .sort(null);
-    
-  const arc = d3.arc()
-    .innerRadius(0)
-    .outerRadius(radius - 10);
-  
-  // Data preparation
-  const pieData = labels.map((label, i) => ({ label, value: data[i] }));
-  const tooltip = createTooltip();
-  
-  // Draw pie slices
-  const arcs = g.selectAll('.arc')
-    .data(pie(pieData))
-    .enter().append('g')
-    .attr('class', 'arc');
-  
-  arcs.append('path')
-    .attr('d', arc)
-    .attr('fill', (d, i) => colors[i])
-    .on('mouseover', function(event, d) {
-      tooltip.style('opacity', 1)
-        .html(`${d.data.label}: ${Number(d.data.value).toFixed(1)}%`)
-        .style('left', (event.pageX + 10) + 'px')
-        .style('top', (event.pageY - 10) + 'px');
-    })
-    .on('mouseout', () => tooltip.style('opacity', 0));
-  
-  // Add text labels
-  arcs.append('text')
-    .attr('transform', d => `translate(${arc.centroid(d)})`)
-    .attr('dy', '0.35em')
-    .style('text-anchor', 'middle')
-    .style('font-size', '12px')
-    .style('fill', 'white')
-    .text(d => d.data.value > 5 ? `${d.data.value.toFixed(1)}%` : '');
-  
-  // Legend (removed per user request in production)
-  if (showLegend) {
-    const legend = svg.append('g')
-      .attr('class', 'legend')
-      .attr('transform', `translate(${width - 120}, 60)`);
-      
-    const legendItems = legend.selectAll('.legend-item')
-      .data(pieData)
-      .enter().append('g')
-      .attr('class', 'legend-item')
-      .attr('transform', (d, i) => `translate(0, ${i * 20})`);
-      
-    legendItems.append('rect')
-      .attr('width', 15)
-      .attr('height', 15)
-      .attr('fill', (d, i) => colors[i]);
-      
-    legendItems.append('text')
-      .attr('x', 20)
-      .attr('y', 12)
-      .style('font-size', '12px')
-      .text(d => d.label);
-  }
-  
-  // Add right-click context menu for copying
-  const contextMenu = addRightClickCopy(svg, containerId);
-  
-  return { svg, tooltip, contextMenu };
+  const { showLegend = true, width, height, aspectRatio, accessibleTitle, transitionDuration } = config;
+
+  return responsiveChart(containerId, config, (labels, data) => drawPieChart(containerId, labels, data, {
+    showLegend,
+    showSliceLabels: true,
+    width,
+    height,
+    aspectRatio,
+    accessibleTitle,
+    valueFormat: formatAccessiblePercent,
+    transitionDuration
+  }), labels, data);
 }
 
 /**
- * Creates a multi-scale bar chart that normalizes different units for visual comparison
- * CRITICAL for mixed data types (percentages, dollars, counts)
+ * Normalize each variable (column) from zero to maximum (or handle negatives)
+ * Used by the multi-scale chart so values with different units share one axis
  */
-function createMultiScaleBarChart(containerId, labels, datasets, config = {}) {
-  if (!d3) {
-    console.error('D3.js not loaded');
-    return null;
-  }
-  
-  const {
-    yAxisTitle = 'Assorted Variables',
-    showOriginalValues = true
-  } = config;
-
-  // Normalize within each variable (column) from zero to maximum (or handle negatives)
-  const normalizedDatasets = datasets.map((dataset, datasetIndex) => {
+function normalizeMultiScaleDatasets(datasets) {
+  return datasets.map(dataset => {
     const normalizedData = [];
     const originalData = dataset.data;
     
@@ -1647,106 +5929,52 @@ function createMultiScaleBarChart(containerId, labels, datasets, config = {}) {
       ...dataset,
       data: normalizedData,
       originalData: originalData,
-      backgroundColor: dataset.backgroundColor || CHART_COLORS.palette[datasetIndex % CHART_COLORS.palette.length]
+      color: dataset.backgroundColor || dataset.color || colorForLabel(dataset.label)
     };
   });
+}
 
-  const { svg, g, width, height } = setupSVG(containerId);
-  
-  // Process data for D3
-  const groupedData = [];
-  labels.forEach((label, i) => {
-    const group = { label };
-    normalizedDatasets.forEach((dataset) => {
-      group[dataset.label] = { 
-        normalized: dataset.data[i], 
-        original: dataset.originalData[i] 
-      };
-    });
-    groupedData.push(group);
-  });
-  
-  const seriesNames = normalizedDatasets.map(d => d.label);
-  
-  // Scales
-  const x0 = d3.scaleBand()
-    .domain(labels)
-    .rangeRound([0, width])
-    .paddingInner(0.1);
-    
-  const x1 = d3.scaleBand()
-    .domain(seriesNames)
-    .rangeRound([0, x0.bandwidth()])
-    .padding(0.05);
-    
-  const y = d3.scaleLinear()
-    .domain([0, 100])
-    .range([height, 0]);
-  
-  const color = d3.scaleOrdinal()
-    .domain(seriesNames)
-    .range(normalizedDatasets.map(d => d.backgroundColor));
-  
-  const tooltip = createTooltip();
-  
-  // Draw bars
-  const groups = g.selectAll('.group')
-    .data(groupedData)
-    .enter().append('g')
-    .attr('class', 'group')
-    .attr('transform', d => `translate(${x0(d.label)},0)`);
-  
-  groups.selectAll('.bar')
-    .data(d => seriesNames.map(key => ({ 
-      key, 
-      value: d[key].normalized, 
-      original: d[key].original,
-      label: d.label 
-    })))
-    .enter().append('rect')
-    .attr('class', 'bar')
-    .attr('x', d => x1(d.key))
-    .attr('y', d => y(d.value))
-    .attr('width', x1.bandwidth())
-    .attr('height', d => height - y(d.value))
-    .attr('fill', d => color(d.key))
-    .on('mouseover', function(event, d) {
-      const originalValue = typeof d.original === 'number' ? 
-        (d.original >= 1000 ? Number(d.original).toLocaleString() : Number(d.original).toFixed(1)) :
-        d.original;
-      
-      tooltip.style('opacity', 1)
-        .html(`${d.label}<br/>${d.key}: ${originalValue}`)
-        .style('left', (event.pageX + 10) + 'px')
-        .style('top', (event.pageY - 10) + 'px');
-    })
-    .on('mouseout', () => tooltip.style('opacity', 0));
-  
-  // Axes
-  g.append('g')
-    .attr('class', 'axis axis--x')
-    .attr('transform', `translate(0,${height})`)
-    .call(d3.axisBottom(x0));
-    
-  g.append('g')
-    .attr('class', 'axis axis--y')
-    .call(d3.axisLeft(y).tickFormat(() => ''));
-  
-  // Y-axis label
-  if (yAxisTitle) {
-    svg.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -height / 2 - 60)
-      .attr('y', 20)
-      .style('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text(yAxisTitle);
+/**
+ * Creates a multi-scale bar chart that normalizes different units for visual comparison
+ * CRITICAL for mixed data types (percentages, dollars, counts)
+ */
+function createMultiScaleBarChart(containerId, labels, datasets, config = {}) {
+  if (!d3) {
+    console.error('D3.js not loaded');
+    return null;
   }
   
-  // Add right-click context menu for copying
-  const contextMenu = addRightClickCopy(svg, containerId);
-  
-  return { svg, tooltip, contextMenu };
+  const {
+    yAxisTitle = 'Assorted Variables',
+    showOriginalValues = true,
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    accessibleTitle,
+    transitionDuration
+  } = config;
+
+  return responsiveChart(containerId, config, (labels, datasets) => drawBarChart(containerId, labels, datasets, {
+    yAxisTitle,
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    accessibleTitle,
+    transitionDuration,
+    toDatasets: (labels, datasets) => normalizeMultiScaleDatasets(datasets),
+    yDomain: [0, 100],
+    tickFormat: () => '',
+    // Values use different units, so highest/lowest would be meaningless
+    showExtremes: false,
+    tooltipHtml: d => {
+      const originalValue = typeof d.original === 'number' ?
+        formatNumber(d.original, d.original >= 1000 ? 'number' : 'decimal', d.original >= 1000 ? {} : { decimals: 1 }) :
+        d.original;
+      return `${escapeHTML(d.label)}<br/>${escapeHTML(d.key)}: ${originalValue}`;
+    }
+  }), labels, datasets);
 }
 
 /**
@@ -1763,98 +5991,48 @@ function createComparisonBarChart(containerId, labels, dataset1, dataset2, confi
     label2 = 'Series 2',
     yAxisTitle = 'Value',
     showAsPercentage = false,
-    color1 = 'rgba(54,162,235,0.75)',
-    color2 = 'rgba(255,99,132,0.75)'
+    color1 = colorForLabel(label1, activeTheme.comparison[0]),
+    color2 = colorForLabel(label2, activeTheme.comparison[1]),
+    width,
+    height,
+    aspectRatio,
+    xAxis,
+    yAxis,
+    accessibleTitle,
+    transitionDuration
   } = config;
 
-  const { svg, g, width, height } = setupSVG(containerId);
-  
-  // Process data
-  const groupedData = [];
-  labels.forEach((label, i) => {
-    groupedData.push({
-      label,
-      [label1]: dataset1[i],
-      [label2]: dataset2[i]
+  const draw = (labels, dataset1, dataset2) => {
+    const chart = drawBarChart(containerId, labels, [dataset1, dataset2], {
+      yAxisTitle,
+      width,
+      height,
+      aspectRatio,
+      xAxis,
+      yAxis,
+      accessibleTitle,
+      transitionDuration,
+      toDatasets: (labels, [dataset1, dataset2]) => [
+        { label: label1, data: dataset1, color: color1 },
+        { label: label2, data: dataset2, color: color2 }
+      ],
+      tickFormat: showAsPercentage ? axisNumberFormat('percentage', { decimals: 0 }) : null,
+      valueFormat: showAsPercentage ? formatAccessiblePercent : formatAccessibleValue,
+      tooltipHtml: d => {
+        const value = showAsPercentage ?
+          formatNumber(Number(d.value), 'percentage') :
+          formatNumber(Number(d.value), 'number', { decimals: 2 });
+        return `${escapeHTML(d.label)}<br/>${escapeHTML(d.key)}: ${value}`;
+      }
     });
-  });
-  
-  const seriesNames = [label1, label2];
-  
-  // Scales
-  const x0 = d3.scaleBand()
-    .domain(labels)
-    .rangeRound([0, width])
-    .paddingInner(0.1);
-    
-  const x1 = d3.scaleBand()
-    .domain(seriesNames)
-    .rangeRound([0, x0.bandwidth()])
-    .padding(0.05);
-    
-  const y = d3.scaleLinear()
-    .domain([0, d3.max(groupedData, d => d3.max(seriesNames, key => d[key]))])
-    .nice()
-    .range([height, 0]);
-  
-  const color = d3.scaleOrdinal()
-    .domain(seriesNames)
-    .range([color1, color2]);
-  
-  const tooltip = createTooltip();
-  
-  // Draw bars
-  const groups = g.selectAll('.group')
-    .data(groupedData)
-    .enter().append('g')
-    .attr('class', 'group')
-    .attr('transform', d => `translate(${x0(d.label)},0)`);
-  
-  groups.selectAll('.bar')
-    .data(d => seriesNames.map(key => ({ key, value: d[key], label: d.label })))
-    .enter().append('rect')
-    .attr('class', 'bar')
-    .attr('x', d => x1(d.key))
-    .attr('y', d => y(d.value))
-    .attr('width', x1.bandwidth())
-    .attr('height', d => height - y(d.value))
-    .attr('fill', d => color(d.key))
-    .on('mouseover', function(event, d) {
-      const value = showAsPercentage ? 
-        Number(d.value).toFixed(1) + '%' : 
-        Number(d.value).toLocaleString(undefined, {maximumFractionDigits: 2});
-      tooltip.style('opacity', 1)
-        .html(`${d.label}<br/>${d.key}: ${value}`)
-        .style('left', (event.pageX + 10) + 'px')
-        .style('top', (event.pageY - 10) + 'px');
-    })
-    .on('mouseout', () => tooltip.style('opacity', 0));
-  
-  // Axes
-  g.append('g')
-    .attr('class', 'axis axis--x')
-    .attr('transform', `translate(0,${height})`)
-    .call(d3.axisBottom(x0));
-    
-  g.append('g')
-    .attr('class', 'axis axis--y')
-    .call(showAsPercentage ? d3.axisLeft(y).tickFormat(d => d + '%') : d3.axisLeft(y));
-  
-  // Y-axis label
-  if (yAxisTitle) {
-    svg.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -height / 2 - 60)
-      .attr('y', 20)
-      .style('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text(yAxisTitle);
-  }
-  
-  // Add right-click context menu for copying
-  const contextMenu = addRightClickCopy(svg, containerId);
-  
-  return { svg, tooltip, contextMenu };
+
+    return {
+      ...chart,
+      update: (labels, dataset1, dataset2) => chart.update(labels, [dataset1, dataset2])
+    };
+  };
+
+  return responsiveChart(containerId, config, draw, labels, dataset1, dataset2);
 }
 
 /**
@@ -1869,89 +6047,523 @@ function createDoughnutChart(containerId, labels, data, config = {}) {
   const {
     showLegend = true,
     cutout = '50%',
-    title = ''
+    title = '',
+    width,
+    height,
+    aspectRatio,
+    accessibleTitle,
+    transitionDuration
+  } = config;
+
+  return responsiveChart(containerId, config, (labels, data) => drawPieChart(containerId, labels, data, {
+    showLegend,
+    innerRadiusRatio: parseInt(cutout) / 100,
+    sliceStroke: activeTheme.chart.background,
+    centerTitle: title,
+    kind: 'Doughnut chart',
+    width,
+    height,
+    aspectRatio,
+    accessibleTitle: accessibleTitle || title,
+    transitionDuration,
+    tooltipHtml: d => `${escapeHTML(d.label)}: ${formatNumber(Number(d.value), 'decimal', { decimals: 1 })} (${formatNumber(d.percentage, 'percentage')})`
+  }), labels, data);
+}
+
+/**
+ * Parses a time-series label into a Date when possible
+ * Accepts Date objects and ISO-style strings ('2024', '2024-03', '2024-03-15')
+ */
+function parseDateLabel(label) {
+  if (label instanceof Date) return label;
+  if (typeof label !== 'string') return null;
+
+  const formats = ['%Y-%m-%d', '%Y-%m', '%Y'];
+  for (const format of formats) {
+    const parsed = d3.timeParse(format)(label);
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+/**
+ * Shared drawing routine for line and area charts
+ * Uses a time scale when every label is a date, otherwise a point scale
+ */
+function drawSeriesChart(containerId, labels, datasets, config, kind) {
+  const {
+    yAxisTitle = 'Value',
+    xAxisTitle = '',
+    showMarkers = kind === 'line',
+    stacked = false,
+    curve = 'linear',
+    dateFormat = null,
+    xAxis = {},
+    yAxis = {},
+    accessibleTitle = '',
+    transitionDuration = 750
   } = config;
 
-  const { svg, g, width, height } = setupSVG(containerId);
-  const radius = Math.min(width, height) / 2;
-  const colors = getColors(data.length);
-  const innerRadius = parseInt(cutout) * radius / 100;
-  
-  g.attr('transform', `translate(${width / 2}, ${height / 2})`);
-  
-  // Pie and arc generators
-  const pie = d3.pie()
-    .value(d => d.value)
-    .sort(null);
-    
-  const arc = d3.arc()
-    .innerRadius(innerRadius)
-    .outerRadius(radius - 10);
-  
-  // Data preparation
-  const pieData = labels.map((label, i) => ({ label, value: data[i] }));
-  const tooltip = createTooltip();
-  
-  // Draw doughnut slices
-  const arcs = g.selectAll('.arc')
-    .data(pie(pieData))
-    .enter().append('g')
-    .attr('class', 'arc');
-  
-  arcs.append('path')
-    .attr('d', arc)
-    .attr('fill', (d, i) => colors[i])
-    .attr('stroke', 'white')
-    .attr('stroke-width', 2)
-    .on('mouseover', function(event, d) {
-      const total = pieData.reduce((a, b) => a + b.value, 0);
-      const percentage = ((d.data.value / total) * 100).toFixed(1);
-      tooltip.style('opacity', 1)
-        .html(`${d.data.label}: ${Number(d.data.value).toFixed(1)} (${percentage}%)`)
-        .style('left', (event.pageX + 10) + 'px')
-        .style('top', (event.pageY - 10) + 'px');
-    })
-    .on('mouseout', () => tooltip.style('opacity', 0));
-  
-  // Center title
-  if (title) {
-    svg.append('text')
-      .attr('x', width / 2 + 80)
-      .attr('y', 30)
-      .style('text-anchor', 'middle')
-      .style('font-size', '16px')
-      .style('font-weight', 'bold')
-      .text(title);
+  const { svg, g, width, height } = setupSVG(containerId, config);
+  const tooltip = createTooltip(containerId);
+
+  const curveFactory = curve === 'monotone' ? d3.curveMonotoneX :
+                       curve === 'step' ? d3.curveStepAfter :
+                       d3.curveLinear;
+  const defined = p => p.value !== null && p.value !== undefined && !isNaN(p.value);
+
+  const gridGroup = g.append('g')
+    .attr('class', 'grid')
+    .attr('aria-hidden', 'true');
+  const seriesLayer = g.append('g').attr('class', 'series-layer');
+  const xAxisGroup = g.append('g')
+    .attr('class', 'axis axis--x')
+    .attr('transform', `translate(0,${height})`);
+  const yAxisGroup = g.append('g')
+    .attr('class', 'axis axis--y');
+
+  // Hover overlay - tooltip lists every series at the nearest x position
+  const focusLine = g.append('line')
+    .attr('class', 'focus-line')
+    .attr('y1', 0)
+    .attr('y2', height)
+    .attr('stroke', activeTheme.chart.muted)
+    .attr('stroke-dasharray', '3,3')
+    .style('opacity', 0);
+
+  // Refreshed by every render so the overlay always reads the current data
+  let hover = null;
+  const inContext = captureChartContext();
+  const markerHtml = inContext(p =>
+    `${escapeHTML(hover.heading(p.index))}<br/>${escapeHTML(p.key)}: ${formatAccessibleValue(p.value)}`);
+
+  g.append('rect')
+    .attr('class', 'overlay')
+    .attr('width', width)
+    .attr('height', height)
+    .attr('fill', 'transparent')
+    .on('mousemove', inContext(function(event) {
+      if (!hover) return;
+      const { positions, rows, seriesNames, color, heading } = hover;
+      const [mx] = d3.pointer(event, this);
+      const index = d3.minIndex(positions, p => Math.abs(p - mx));
+      if (index < 0) return;
+
+      const lines = seriesNames.map(key => {
+        const value = rows[index][key];
+        const text = value === null || value === undefined ? '—' :
+          formatNumber(Number(value), 'number', { decimals: 2 });
+        return `<span style="color:${escapeHTML(color(key))}">●</span> ${escapeHTML(key)}: ${text}`;
+      });
+
+      focusLine.attr('x1', positions[index]).attr('x2', positions[index]).style('opacity', 1);
+      showTooltip(tooltip, event, `${escapeHTML(heading(index))}<br/>${lines.join('<br/>')}`);
+    }))
+    .on('mouseout', () => {
+      focusLine.style('opacity', 0);
+      tooltip.style('opacity', 0);
+    });
+
+  // Legend across the top margin
+  const legend = svg.append('g')
+    .attr('class', 'legend')
+    .attr('transform', 'translate(80, 20)');
+
+  // Axis labels
+  addAxisTitle(svg, yAxisTitle, width, height);
+  addAxisTitle(svg, xAxisTitle, width, height, 'horizontal');
+
+  // Raw data of the latest render, for getData() and the data downloads
+  let chartData = null;
+
+  function render(labels, datasets, animate) {
+    const t = chartTransition(svg, animate, transitionDuration);
+
+    const seriesNames = datasets.map(d => d.label);
+    const colors = datasets.map(dataset => dataset.color || colorForLabel(dataset.label));
+    const color = d3.scaleOrdinal().domain(seriesNames).range(colors);
+
+    // X scale - date-aware
+    const dates = labels.map(parseDateLabel);
+    const isTime = labels.length > 0 && dates.every(d => d !== null);
+    const x = isTime ?
+      d3.scaleTime().domain(d3.extent(dates)).range([0, width]) :
+      d3.scalePoint().domain(labels).range([0, width]).padding(0.5);
+    const xPos = i => isTime ? x(dates[i]) : x(labels[i]);
+    const labelFormat = !isTime ? d => d :
+                        dateFormat ? d3.timeFormat(dateFormat) :
+                        d => formatDate(d);
+    const heading = index => labelFormat(isTime ? dates[index] : labels[index]);
+
+    // Rows keyed by series name, one per label
+    const rows = labels.map((label, i) => {
+      const row = { index: i, label };
+      datasets.forEach(dataset => {
+        row[dataset.label] = dataset.data[i];
+      });
+      return row;
+    });
+
+    // Series points - stacked areas use d3.stack baselines
+    let series;
+    if (kind === 'area' && stacked) {
+      const stack = d3.stack()
+        .keys(seriesNames)
+        .value((row, key) => Number(row[key]) || 0);
+      series = stack(rows).map(layer => ({
+        key: layer.key,
+        points: layer.map((p, i) => ({ index: i, label: labels[i], y0: p[0], y1: p[1], value: rows[i][layer.key] }))
+      }));
+    } else {
+      series = seriesNames.map(key => ({
+        key,
+        points: rows.map((row, i) => ({ index: i, label: labels[i], y0: 0, y1: row[key], value: row[key] }))
+      }));
+    }
+
+    const y = createValueScale(series.flatMap(s => s.points.map(p => p.y1)), [height, 0], yAxis, containerId);
+
+    const area = d3.area()
+      .defined(defined)
+      .curve(curveFactory)
+      .x(p => xPos(p.index))
+      .y0(p => y(p.y0))
+      .y1(p => y(p.y1));
+
+    const line = d3.line()
+      .defined(defined)
+      .curve(curveFactory)
+      .x(p => xPos(p.index))
+      .y(p => y(p.y1));
+
+    hover = {
+      positions: labels.map((label, i) => xPos(i)),
+      rows,
+      seriesNames,
+      color,
+      heading
+    };
+
+    // Join one group per series
+    const layers = seriesLayer.selectAll('.series')
+      .data(series, s => s.key);
+
+    t.apply(layers.exit())
+      .style('opacity', 0)
+      .remove();
+
+    const entered = layers.enter().append('g')
+      .attr('class', 'series');
+
+    if (kind === 'area') {
+      entered.append('path')
+        .attr('class', 'area')
+        .attr('fill-opacity', stacked ? 0.85 : 0.35);
+    }
+
+    entered.append('path')
+      .attr('class', 'line')
+      .attr('fill', 'none')
+      .attr('stroke-width', 2);
+
+    // New series fade in at their final shape; existing ones morph
+    if (t.animate) {
+      entered.style('opacity', 0);
+      t.apply(entered).style('opacity', 1);
+    }
+    entered.select('.area').attr('d', s => area(s.points));
+    entered.select('.line').attr('d', s => line(s.points));
+
+    t.apply(layers.select('.area')).attr('d', s => area(s.points));
+    t.apply(layers.select('.line')).attr('d', s => line(s.points));
+
+    const merged = entered.merge(layers);
+    merged.select('.area').attr('fill', s => color(s.key));
+    merged.select('.line').attr('stroke', s => color(s.key));
+
+    if (showMarkers) {
+      const markers = merged.selectAll('.marker')
+        .data(s => s.points.filter(defined).map(p => ({ ...p, key: s.key })), p => p.label);
+
+      t.apply(markers.exit())
+        .attr('r', 0)
+        .remove();
+
+      const enteredMarkers = markers.enter().append('circle')
+        .attr('class', 'marker')
+        .attr('cx', p => xPos(p.index))
+        .attr('cy', p => y(p.y1))
+        .attr('r', t.animate ? 0 : 3.5)
+        .attr('stroke-width', 1);
+
+      makeMarksFocusable(svg, enteredMarkers, tooltip, markerHtml);
+      enteredMarkers.merge(markers).attr('aria-label', p => tooltipText(markerHtml(p)));
+
+      t.apply(enteredMarkers.merge(markers))
+        .attr('cx', p => xPos(p.index))
+        .attr('cy', p => y(p.y1))
+        .attr('r', 3.5)
+        .attr('fill', p => color(p.key))
+        .attr('stroke', activeTheme.chart.background);
+    }
+
+    // Axes
+    const bottomAxis = d3.axisBottom(x);
+    if (isTime) {
+      bottomAxis.ticks(Math.min(labels.length, 8));
+      bottomAxis.tickFormat(dateFormat ? d3.timeFormat(dateFormat) : localeTimeTickFormat);
+    }
+
+    renderGridlines(t, gridGroup, y, yAxis, 'left', width);
+    t.apply(xAxisGroup).call(bottomAxis);
+    t.apply(yAxisGroup).call(configureValueAxis(d3.axisLeft(y), y, yAxis));
+
+    // Axis transitions set tick text when they start, so labels are fitted once they finish
+    const fitLabels = () => layoutCategoryLabels(xAxisGroup, xAxis,
+      isTime ? width / Math.max(1, xAxisGroup.selectAll('.tick').size()) : x.step(), 'bottom');
+    if (!t.animate) fitLabels();
+
+    // Legend items, laid out left to right
+    const offsets = [];
+    seriesNames.reduce((offset, key, i) => {
+      offsets[i] = offset;
+      return offset + 30 + key.length * 7;
+    }, 0);
+
+    const items = legend.selectAll('.legend-item')
+      .data(seriesNames.length > 1 ? seriesNames : [], key => key);
+
+    items.exit().remove();
+
+    const enteredItems = items.enter().append('g')
+      .attr('class', 'legend-item');
+
+    enteredItems.append('rect')
+      .attr('width', 15)
+      .attr('height', 15);
+
+    enteredItems.append('text')
+      .attr('x', 20)
+      .attr('y', 12)
+      .style('font-size', '12px')
+      .text(key => key);
+
+    const mergedItems = enteredItems.merge(items)
+      .attr('transform', (key, i) => `translate(${offsets[i]}, 0)`);
+    mergedItems.select('rect').attr('fill', key => color(key));
+
+    chartData = {
+      labels,
+      series: datasets.map(dataset => ({ name: dataset.label, values: dataset.data }))
+    };
+
+    annotateChart(svg, containerId, {
+      title: accessibleTitle,
+      kind: kind === 'line' ? 'Line chart' : stacked ? 'Stacked area chart' : 'Area chart',
+      labels: labels.map((label, i) => heading(i)),
+      series: chartData.series
+    });
+
+    return t.end().then(() => {
+      if (t.animate) fitLabels();
+    });
+  }
+
+  render(labels, datasets, false);
+
+  const getData = () => ({
+    labels: chartData.labels.slice(),
+    series: chartData.series.map(s => ({ name: s.name, values: s.values.slice() }))
+  });
+
+  // Add right-click context menu for copying and downloads
+  const contextMenu = addRightClickCopy(svg, containerId, getData);
+
+  return {
+    svg,
+    tooltip,
+    contextMenu,
+    getData,
+    update: (labels, datasets) => render(labels, datasets, true)
+  };
+}
+
+/**
+ * Creates a multi-series line chart for trends over time
+ */
+function createLineChart(containerId, labels, datasets, config = {}) {
+  if (!d3) {
+    console.error('D3.js not loaded');
+    return null;
+  }
+
+  return responsiveChart(containerId, config, (labels, datasets) =>
+    drawSeriesChart(containerId, labels, datasets, config, 'line'), labels, datasets);
+}
+
+/**
+ * Creates a multi-series area chart, optionally stacked to show composition over time
+ */
+function createAreaChart(containerId, labels, datasets, config = {}) {
+  if (!d3) {
+    console.error('D3.js not loaded');
+    return null;
+  }
+
+  return responsiveChart(containerId, config, (labels, datasets) =>
+    drawSeriesChart(containerId, labels, datasets, config, 'area'), labels, datasets);
+}
+
+/**
+ * Format a number for display - shared by PageBuilder.formatNumber, charts and tables
+ * Types: 'currency', 'percentage' (or 'percent', for values already in percent: 42 -> 42.0%),
+ * 'decimal' and 'number'; non-numbers pass through.
+ * Options override the active locale settings: locale, currency, compact (15.8K, $1.2M)
+ * and decimals (fraction digits - fixed for currency/percentage/decimal, at most for number)
+ */
+function formatNumber(value, type = 'number', options = {}) {
+  if (typeof value !== 'number') return value;
+
+  const settings = { ...(activeNumberFormat || DEFAULT_NUMBER_FORMAT), ...options };
+  const kind = type === 'percent' ? 'percentage' : type;
+  const precision = { ...DEFAULT_NUMBER_FORMAT.precision, ...settings.precision };
+  const decimals = options.decimals !== undefined ? options.decimals :
+                   precision[kind] !== undefined ? precision[kind] : precision.number;
+  const compact = settings.compact ? {
+    notation: 'compact',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: options.decimals !== undefined ? options.decimals : 1
+  } : null;
+
+  switch (kind) {
+    case 'currency':
+      return numberFormatter(settings.locale, compact || {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      }, { style: 'currency', currency: settings.currency }).format(value);
+
+    case 'percentage':
+      return numberFormatter(settings.locale, compact || {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      }, { style: 'percent' }).format(value / 100);
+
+    case 'decimal':
+      return numberFormatter(settings.locale, compact || {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      }).format(value);
+
+    default:
+      return numberFormatter(settings.locale, compact || {
+        maximumFractionDigits: decimals
+      }).format(value);
+  }
+}
+
+// Document-level number settings; the report's settings are made active while its charts draw
+const DEFAULT_NUMBER_FORMAT = {
+  locale: 'en-US',
+  currency: 'USD',
+  compactAxes: false,
+  // Fraction digits per type; 'number' is a maximum, the others are fixed
+  precision: { number: 3, currency: 0, percentage: 1, decimal: 2 }
+};
+
+let activeNumberFormat = null;
+
+function resolveNumberFormat(options = {}) {
+  const resolved = {
+    ...DEFAULT_NUMBER_FORMAT,
+    ...options,
+    precision: { ...DEFAULT_NUMBER_FORMAT.precision, ...(options.precision || {}) }
+  };
+
+  try {
+    new Intl.NumberFormat(resolved.locale, { style: 'currency', currency: resolved.currency });
+  } catch (err) {
+    throw new Error(`Invalid locale "${resolved.locale}" or currency "${resolved.currency}": ${err.message}`);
+  }
+  return resolved;
+}
+
+// Intl.NumberFormat is costly to construct, and tables format every cell
+const numberFormatterCache = new Map();
+
+function numberFormatter(locale, digits, style = {}) {
+  const options = { ...style, ...digits };
+  const key = `${locale}|${JSON.stringify(options)}`;
+  if (!numberFormatterCache.has(key)) {
+    numberFormatterCache.set(key, new Intl.NumberFormat(locale, options));
+  }
+  return numberFormatterCache.get(key);
+}
+
+/**
+ * Format a date in the active locale, e.g. { month: 'short', year: 'numeric' } -> "janv. 2024" in fr-CA
+ */
+function formatDate(date, options = { month: 'short', year: 'numeric' }) {
+  return new Intl.DateTimeFormat((activeNumberFormat || DEFAULT_NUMBER_FORMAT).locale, options).format(date);
+}
+
+/**
+ * Tick labels for time axes in the active locale, coarsest unit that distinguishes the tick
+ * (mirrors d3's default multi-scale time format)
+ */
+function localeTimeTickFormat(date) {
+  if (date.getHours() || date.getMinutes()) {
+    return formatDate(date, { hour: 'numeric', minute: '2-digit' });
+  }
+  if (date.getDate() !== 1) {
+    return formatDate(date, { month: 'short', day: 'numeric' });
+  }
+  if (date.getMonth() !== 0) {
+    return formatDate(date, { month: 'short' });
+  }
+  return formatDate(date, { year: 'numeric' });
+}
+
+/**
+ * Value-axis tick format: plain numbers, compact when the document asks for compact axes
+ */
+function axisNumberFormat(type = 'number', options = {}) {
+  return d => formatNumber(d, type, {
+    compact: (activeNumberFormat || DEFAULT_NUMBER_FORMAT).compactAxes,
+    ...options
+  });
+}
+
+// Totals computed by default for each column type; percentages and text have none
+const DEFAULT_COLUMN_TOTALS = {
+  currency: 'sum',
+  number: 'sum',
+  decimal: 'sum'
+};
+
+/**
+ * Aggregate a column's values for a totals or subtotal row
+ * total: 'sum' | 'average' | 'min' | 'max' | 'count' | function(values, rows)
+ */
+function aggregateColumn(total, values, rows) {
+  if (typeof total === 'function') {
+    return total(values, rows);
   }
-  
-  // Legend (removed per user request in production)
-  if (showLegend) {
-    const legend = svg.append('g')
-      .attr('class', 'legend')
-      .attr('transform', `translate(${width - 120}, 60)`);
-      
-    const legendItems = legend.selectAll('.legend-item')
-      .data(pieData)
-      .enter().append('g')
-      .attr('class', 'legend-item')
-      .attr('transform', (d, i) => `translate(0, ${i * 20})`);
-      
-    legendItems.append('rect')
-      .attr('width', 15)
-      .attr('height', 15)
-      .attr('fill', (d, i) => colors[i]);
-      
-    legendItems.append('text')
-      .attr('x', 20)
-      .attr('y', 12)
-      .style('font-size', '12px')
-      .text(d => d.label);
+
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+  switch (total) {
+    case 'sum':
+      return numbers.reduce((sum, value) => sum + value, 0);
+    case 'average':
+      return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    case 'min':
+      return numbers.length ? Math.min(...numbers) : null;
+    case 'max':
+      return numbers.length ? Math.max(...numbers) : null;
+    case 'count':
+      return values.filter(value => value !== null && value !== undefined && value !== '').length;
+    default:
+      return null;
   }
-  
-  // Add right-click context menu for copying
-  const contextMenu = addRightClickCopy(svg, containerId);
-  
-  return { svg, tooltip, contextMenu };
 }
 
 /**
@@ -1960,145 +6572,898 @@ function createDoughnutChart(containerId, labels, data, config = {}) {
  */
 function createDataTable(containerId, labels, data, config = {}) {
   const {
-    headers = ['Metric', 'Value'],
+    columns = null,
     title = '',
     formatValue = null,
     sortable = false,
+    filterable = false,
+    pageSize = null,
     showIndex = false,
-    className = 'data-table'
+    totals = false,
+    subtotals = false,
+    groupBy = null,
+    className = 'data-table',
+    width = null
   } = config;
+  const headers = columns ? columns.map(column => column.header || String(column.key)) :
+                  config.headers || ['Metric', 'Value'];
+
+  // Typed columns: alignment and number format follow the column type
+  const columnType = j => (columns && columns[j] && columns[j].type) || null;
+  const columnNumberOptions = column => ({
+    ...(column.decimals !== undefined ? { decimals: column.decimals } : {}),
+    ...(column.compact ? { compact: true } : {})
+  });
+  const columnAlign = j => {
+    if (columns && columns[j]) {
+      const type = columnType(j);
+      return columns[j].align ||
+        (type === 'sparkline' ? 'center' : type === 'bar' || !type || type === 'text' ? 'left' : 'right');
+    }
+    return j === 0 ? 'left' : 'right';
+  };
 
+  const theme = activeTheme;
   const container = d3.select(`#${containerId}`);
   container.selectAll('*').remove(); // Clear existing content
-  
+
   // Set container position for right-click menu
   container.style('position', 'relative');
-  
+
   // Add title if provided
   if (title) {
     container.append('h4')
       .style('margin', '0 0 10px 0')
-      .style('color', '#2c5282')
+      .style('color', theme.table.title)
       .style('font-size', '16px')
       .text(title);
   }
-  
+
+  // Sort, filter and page state - kept across update()
+  const sortState = { column: null, direction: 'ascending' };
+  let filterText = '';
+  let page = 0;
+
+  // Text filter above the table
+  if (filterable) {
+    container.append('input')
+      .attr('type', 'search')
+      .attr('class', 'data-table-filter')
+      .attr('placeholder', 'Filter rows…')
+      .attr('aria-label', title ? `Filter ${title}` : 'Filter table rows')
+      .attr('aria-controls', `${containerId}-table`)
+      .style('display', 'block')
+      .style('width', '100%')
+      .style('max-width', '320px')
+      .style('box-sizing', 'border-box')
+      .style('margin', '0 0 10px 0')
+      .style('padding', '6px 10px')
+      .style('border', `1px solid ${theme.table.border}`)
+      .style('border-radius', '4px')
+      .style('background', theme.table.background)
+      .style('color', theme.table.text)
+      .style('font-family', theme.fonts.ui)
+      .style('font-size', '14px')
+      .on('input', function() {
+        filterText = this.value;
+        page = 0;
+        refresh();
+      });
+  }
+
   // Create table
   const table = container.append('table')
+    .attr('id', `${containerId}-table`)
     .attr('class', className)
-    .style('width', '100%')
+    .style('width', width ? `${width}px` : '100%')
+    .style('max-width', '100%')
     .style('border-collapse', 'collapse')
-    .style('background', 'white')
+    .style('background', theme.table.background)
+    .style('font-family', theme.fonts.ui)
     .style('border-radius', '6px')
     .style('overflow', 'hidden')
-    .style('box-shadow', '0 1px 3px rgba(0,0,0,0.1)');
-  
+    .style('box-shadow', theme.table.shadow);
+
   // Create header
   const thead = table.append('thead');
   const headerRow = thead.append('tr')
-    .style('background', '#f8f9fa')
-    .style('border-bottom', '2px solid #dee2e6');
-  
+    .style('background', theme.table.headerBackground)
+    .style('border-bottom', `2px solid ${theme.table.border}`);
+
   if (showIndex) {
     headerRow.append('th')
       .style('padding', '12px 8px')
       .style('text-align', 'left')
       .style('font-weight', 'bold')
-      .style('color', '#495057')
+      .style('color', theme.table.headerText)
       .text('#');
   }
-  
-  headers.forEach(header => {
-    headerRow.append('th')
+
+  const headerCells = headers.map((header, j) => {
+    const th = headerRow.append('th')
+      .attr('scope', 'col')
       .style('padding', '12px 8px')
-      .style('text-align', 'left')
+      .style('text-align', columns ? columnAlign(j) : 'left')
       .style('font-weight', 'bold')
-      .style('color', '#495057')
+      .style('color', theme.table.headerText)
       .style('cursor', sortable ? 'pointer' : 'default')
       .text(header);
+
+    if (sortable) {
+      th.attr('tabindex', 0)
+        .attr('aria-sort', 'none')
+        .style('user-select', 'none')
+        .on('click', () => toggleSort(j))
+        .on('keydown', event => {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            toggleSort(j);
+          }
+        });
+      th.append('span')
+        .attr('class', 'sort-indicator')
+        .attr('aria-hidden', 'true')
+        .style('margin-left', '6px')
+        .style('color', theme.table.mutedText);
+    }
+
+    return th;
   });
-  
+
   // Create body
   const tbody = table.append('tbody');
-  
-  // Process data - handle both array of values and array of objects
-  let tableData;
-  if (Array.isArray(data[0])) {
-    // Array of arrays [[label, value], [label, value]]
-    tableData = data;
-  } else if (typeof data[0] === 'object') {
-    // Array of objects [{label: 'X', value: 'Y'}]
-    tableData = data.map(item => [item.label || item.name || item.key, item.value]);
-  } else {
-    // Parallel arrays: labels and data
-    tableData = labels.map((label, i) => [label, data[i]]);
+  const tfoot = totals ? table.append('tfoot') : null;
+
+  // Pager below the table
+  const pager = pageSize ? container.append('div')
+    .attr('class', 'data-table-pager')
+    .style('display', 'flex')
+    .style('align-items', 'center')
+    .style('justify-content', 'flex-end')
+    .style('gap', '8px')
+    .style('margin-top', '8px')
+    .style('font-family', theme.fonts.ui)
+    .style('font-size', '13px')
+    .style('color', theme.table.mutedText) : null;
+
+  const pagerButton = (label, text, onClick) => pager.append('button')
+    .attr('type', 'button')
+    .attr('aria-label', label)
+    .style('padding', '4px 10px')
+    .style('border', `1px solid ${theme.table.border}`)
+    .style('border-radius', '4px')
+    .style('background', theme.table.background)
+    .style('color', theme.table.text)
+    .style('font-family', theme.fonts.ui)
+    .style('cursor', 'pointer')
+    .text(text)
+    .on('click', onClick);
+
+  const pagerStatus = pager ? pager.append('span').attr('aria-live', 'polite') : null;
+  const previousButton = pager ? pagerButton('Previous page', '‹ Prev', () => goToPage(page - 1)) : null;
+  const nextButton = pager ? pagerButton('Next page', 'Next ›', () => goToPage(page + 1)) : null;
+
+  // Raw rows of the latest render, for getData() and the data downloads
+  let tableRows = [];
+  // Row objects behind tableRows when columns are defined, for format(value, row) and groupBy
+  let rowObjects = [];
+
+  function displayValue(cellData, i, j, rowObject = rowObjects[i]) {
+    if (columns && columns[j]) {
+      const column = columns[j];
+      if (typeof column.format === 'function') {
+        return column.format(cellData, rowObject);
+      }
+      if (cellData === null || cellData === undefined) return '';
+      if (column.type === 'sparkline') {
+        return Array.isArray(cellData) ? cellData.join(', ') : cellData;
+      }
+      if (column.type === 'bar') {
+        return formatNumber(cellData, column.valueType || 'number', columnNumberOptions(column));
+      }
+      return columnType(j) && columnType(j) !== 'text' ?
+        formatNumber(cellData, columnType(j), columnNumberOptions(column)) : cellData;
+    }
+
+    // Format value if formatter provided
+    if (j > 0 && formatValue && typeof formatValue === 'function') {
+      return formatValue(cellData, i, j);
+    }
+    if (typeof cellData === 'number') {
+      // Default number formatting
+      if (cellData >= 1000) {
+        return formatNumber(cellData);
+      } else if (cellData % 1 !== 0) {
+        return formatNumber(cellData, 'decimal', { decimals: 1 });
+      }
+    }
+    return cellData;
   }
-  
-  // Add rows
-  tableData.forEach((rowData, i) => {
-    const row = tbody.append('tr')
-      .style('border-bottom', '1px solid #dee2e6')
-      .on('mouseover', function() {
-        d3.select(this).style('background', '#f8f9fa');
-      })
-      .on('mouseout', function() {
-        d3.select(this).style('background', i % 2 === 0 ? 'white' : '#f8f9fa');
+
+  // Numeric extent of a column over all rows, for color scales, icon thresholds and mini-bars
+  function columnExtent(j) {
+    const numbers = tableRows.map(row => row[j]).filter(value => typeof value === 'number' && !isNaN(value));
+    return numbers.length ? d3.extent(numbers) : [0, 0];
+  }
+
+  // Conditional formatting and in-cell graphics for typed columns
+  function decorateCell(cell, cellData, j) {
+    const column = columns && columns[j];
+    if (!column) return;
+
+    if (column.type === 'sparkline') {
+      appendSparkline(cell, cellData, column);
+    } else if (column.type === 'bar') {
+      appendMiniBar(cell, cellData, columnExtent(j), column);
+    }
+
+    const rules = Array.isArray(column.conditional) ? column.conditional :
+                  column.conditional ? [column.conditional] : [];
+    rules.forEach(rule => applyConditionalFormat(cell, cellData, rule, columnExtent(j)));
+  }
+
+  // Rows after filtering and sorting, each remembering its index in the data for formatValue
+  function visibleRows() {
+    let rows = tableRows.map((row, index) => ({ row, index }));
+
+    const query = filterText.trim().toLowerCase();
+    if (query) {
+      rows = rows.filter(({ row, index }) => row.some((cellData, j) =>
+        [cellData, displayValue(cellData, index, j)].some(value =>
+          value !== null && value !== undefined && String(value).toLowerCase().includes(query))));
+    }
+
+    if (sortState.column !== null) {
+      const column = sortState.column;
+      const direction = sortState.direction === 'ascending' ? 1 : -1;
+      rows = rows.slice().sort((a, b) =>
+        compareTableValues(a.row[column], b.row[column], direction) || a.index - b.index);
+    }
+
+    // Groups stay together in order of first appearance; sorting applies within each group
+    if (groupKey) {
+      const order = new Map();
+      tableRows.forEach((row, index) => {
+        const key = groupKey(index);
+        if (!order.has(key)) order.set(key, order.size);
       });
-    
-    // Set alternating row colors
-    row.style('background', i % 2 === 0 ? 'white' : '#f8f9fa');
-    
+      const position = new Map(rows.map((entry, i) => [entry, i]));
+      rows = rows.slice().sort((a, b) =>
+        order.get(groupKey(a.index)) - order.get(groupKey(b.index)) || position.get(a) - position.get(b));
+    }
+
+    return rows;
+  }
+
+  const groupKey = groupBy ? index => {
+    const rowObject = rowObjects[index] || tableRows[index];
+    return typeof groupBy === 'function' ? groupBy(rowObject) : rowObject[groupBy];
+  } : null;
+
+  // Per-column aggregates for a set of rows, keyed like the row objects
+  function aggregateRows(rows) {
+    const result = {};
+    const values = {};
+    headers.forEach((header, j) => {
+      const column = columns ? columns[j] : null;
+      const total = column && column.total !== undefined ? column.total :
+                    DEFAULT_COLUMN_TOTALS[column ? columnType(j) : (j > 0 ? 'number' : null)];
+      if (!total) return;
+      const key = column ? column.key : j;
+      values[j] = aggregateColumn(total, rows.map(({ row }) => row[j]), rows.map(({ row, index }) => rowObjects[index] || row));
+      result[key] = values[j];
+    });
+    return { result, values };
+  }
+
+  // Styled summary row (subtotal in the body, total in the footer)
+  function appendSummaryRow(parent, label, rows, emphasis) {
+    const { result, values } = aggregateRows(rows);
+    const row = parent.append('tr')
+      .attr('class', emphasis ? 'total-row' : 'subtotal-row')
+      .style('background', theme.table.headerBackground)
+      .style('border-top', `${emphasis ? 2 : 1}px solid ${theme.table.border}`)
+      .style('font-weight', emphasis ? 'bold' : '600');
+
     if (showIndex) {
-      row.append('td')
-        .style('padding', '10px 8px')
-        .style('color', '#6c757d')
-        .style('font-size', '12px')
-        .text(i + 1);
+      row.append('td');
     }
-    
-    rowData.forEach((cellData, j) => {
-      const cell = row.append('td')
+
+    headers.forEach((header, j) => {
+      const cell = row.append(j === 0 ? 'th' : 'td')
         .style('padding', '10px 8px')
-        .style('color', '#495057');
-      
+        .style('color', theme.table.text)
+        .style('text-align', columnAlign(j));
       if (j === 0) {
-        // First column (labels) - left align
-        cell.style('font-weight', '500');
-      } else {
-        // Data columns - right align numbers
-        cell.style('text-align', 'right');
-        if (typeof cellData === 'number') {
-          cell.style('font-family', 'monospace');
+        cell.attr('scope', 'row');
+      }
+
+      if (j in values && values[j] !== null) {
+        // formatValue(value, row, col) expects a data row, so untyped totals use the default format
+        cell.text(columns ? displayValue(values[j], -1, j, result) : formatNumber(values[j]));
+        if (typeof values[j] === 'number') {
+          cell.style('font-family', theme.fonts.monospace);
         }
+      } else if (j === 0) {
+        cell.text(label);
       }
-      
-      // Format value if formatter provided
-      let displayValue = cellData;
-      if (j > 0 && formatValue && typeof formatValue === 'function') {
-        displayValue = formatValue(cellData, i, j);
-      } else if (typeof cellData === 'number') {
-        // Default number formatting
-        if (cellData >= 1000) {
-          displayValue = cellData.toLocaleString();
-        } else if (cellData % 1 !== 0) {
-          displayValue = cellData.toFixed(1);
+    });
+
+    return row;
+  }
+
+  const labelFor = (option, fallback, ...args) => {
+    const label = option && typeof option === 'object' && option.label !== undefined ? option.label : fallback;
+    return typeof label === 'function' ? label(...args) : label;
+  };
+
+  // Sorting, filtering and paging redraw later - with the locale the table was created with
+  const refresh = captureChartContext()(renderPage);
+
+  // Body, sort indicators and pager from the current state
+  function renderPage() {
+    const rows = visibleRows();
+    const pageCount = pageSize ? Math.max(1, Math.ceil(rows.length / pageSize)) : 1;
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+    const start = pageSize ? page * pageSize : 0;
+    const shown = pageSize ? rows.slice(start, start + pageSize) : rows;
+
+    tbody.selectAll('tr').remove();
+
+    // Every row is rendered so print and exports have the whole table; rows of other pages are
+    // hidden until then (see the print styles and stripInteractiveArtifacts)
+    const hideOffPage = (row, i) => {
+      if (pageSize && (i < start || i >= start + pageSize)) {
+        row.classed('data-table-offpage', true).style('display', 'none');
+      }
+      return row;
+    };
+
+    // Add rows
+    rows.forEach(({ row: rowData, index }, i) => {
+      const row = hideOffPage(tbody.append('tr'), i)
+        .style('border-bottom', `1px solid ${theme.table.border}`)
+        .on('mouseover', function() {
+          d3.select(this).style('background', theme.table.hover);
+        })
+        .on('mouseout', function() {
+          d3.select(this).style('background', i % 2 === 0 ? theme.table.background : theme.table.stripe);
+        });
+
+      // Set alternating row colors
+      row.style('background', i % 2 === 0 ? theme.table.background : theme.table.stripe);
+
+      if (showIndex) {
+        row.append('td')
+          .style('padding', '10px 8px')
+          .style('color', theme.table.mutedText)
+          .style('font-size', '12px')
+          .text(i + 1);
+      }
+
+      rowData.forEach((cellData, j) => {
+        const cell = row.append('td')
+          .style('padding', '10px 8px')
+          .style('color', theme.table.text);
+
+        if (j === 0) {
+          // First column (labels) - left align
+          cell.style('font-weight', '500');
+        }
+        cell.style('text-align', columnAlign(j));
+        if (j > 0 && typeof cellData === 'number') {
+          // Data columns - monospace numbers
+          cell.style('font-family', theme.fonts.monospace);
         }
+
+        cell.text(displayValue(cellData, index, j));
+        decorateCell(cell, cellData, j);
+      });
+
+      // Subtotal after the last row of each group, over the group's filtered rows
+      const next = rows[i + 1];
+      if (subtotals && groupKey && (!next || groupKey(next.index) !== groupKey(index))) {
+        const group = groupKey(index);
+        hideOffPage(appendSummaryRow(tbody, labelFor(subtotals, `${group} subtotal`, group),
+          rows.filter(entry => groupKey(entry.index) === group), false), i);
       }
-      
-      cell.text(displayValue);
     });
-  });
-  
+
+    if (tfoot) {
+      tfoot.selectAll('tr').remove();
+      appendSummaryRow(tfoot, labelFor(totals, 'Total'), rows, true);
+    }
+
+    if (!shown.length) {
+      tbody.append('tr').append('td')
+        .attr('colspan', Math.max(headers.length, ...tableRows.map(row => row.length)) + (showIndex ? 1 : 0))
+        .style('padding', '10px 8px')
+        .style('text-align', 'center')
+        .style('color', theme.table.mutedText)
+        .text(filterText.trim() ? 'No matching rows' : 'No data');
+    }
+
+    if (sortable) {
+      headerCells.forEach((th, j) => {
+        const active = sortState.column === j;
+        th.attr('aria-sort', active ? sortState.direction : 'none');
+        th.select('.sort-indicator').text(active ? (sortState.direction === 'ascending' ? '▲' : '▼') : '↕');
+      });
+    }
+
+    if (pager) {
+      pagerStatus.text(rows.length
+        ? `Rows ${start + 1}–${start + shown.length} of ${rows.length}`
+        : 'No rows');
+      previousButton.property('disabled', page === 0);
+      nextButton.property('disabled', page >= pageCount - 1);
+      pager.style('display', rows.length > pageSize || page > 0 ? 'flex' : 'none');
+    }
+  }
+
+  // Rows are rebuilt from scratch on update(); header, title and menu stay in place
+  function renderRows(labels, data) {
+    // Process data - handle both array of values and array of objects
+    let tableData;
+    rowObjects = [];
+    if (columns) {
+      // Row objects [{region: 'North', deposits: 1200}] read through the column keys
+      rowObjects = data;
+      tableData = data.map(item => columns.map(column => item[column.key]));
+    } else if (Array.isArray(data[0])) {
+      // Array of arrays [[label, value], [label, value]]
+      tableData = data;
+    } else if (typeof data[0] === 'object') {
+      // Array of objects [{label: 'X', value: 'Y'}]
+      tableData = data.map(item => [item.label || item.name || item.key, item.value]);
+    } else {
+      // Parallel arrays: labels and data
+      tableData = labels.map((label, i) => [label, data[i]]);
+    }
+    tableRows = tableData;
+    page = 0;
+    refresh();
+  }
+
+  // First click sorts ascending, the next flips the direction
+  function toggleSort(column) {
+    sortTable(column, sortState.column === column && sortState.direction === 'ascending' ? 'descending' : 'ascending');
+  }
+
+  function sortTable(column, direction = 'ascending') {
+    sortState.column = column;
+    sortState.direction = direction === 'descending' ? 'descending' : 'ascending';
+    page = 0;
+    refresh();
+  }
+
+  function goToPage(target) {
+    page = target;
+    refresh();
+  }
+
+  renderRows(labels, data);
+
+  // Raw cell values: first column as category labels, one series per further column
+  const getData = () => {
+    const columnCount = Math.max(headers.length, ...tableRows.map(row => row.length));
+    return {
+      category: headers[0] || 'Category',
+      labels: tableRows.map(row => row[0]),
+      series: Array.from({ length: columnCount - 1 }, (_, j) => ({
+        name: headers[j + 1] || `Column ${j + 2}`,
+        values: tableRows.map(row => row[j + 1])
+      }))
+    };
+  };
+
   // Add right-click context menu for copying table
-  const contextMenu = addRightClickCopyTable(table, containerId);
-  
-  return { table, contextMenu };
+  const contextMenu = addRightClickCopyTable(table, containerId, getData, title);
+
+  return {
+    table,
+    contextMenu,
+    getData,
+    sort: (column, direction) => sortTable(column, direction),
+    filter: text => {
+      filterText = text || '';
+      page = 0;
+      container.select('.data-table-filter').property('value', filterText);
+      refresh();
+    },
+    goToPage,
+    update: (labels, data) => {
+      renderRows(labels, data);
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Numeric-aware comparison for table sorting
+ * Numbers and numeric strings ("$388,926", "42%") compare by value, text by locale;
+ * empty cells always sort last
+ */
+function compareTableValues(a, b, direction = 1) {
+  // Sparkline cells sort by their latest value
+  if (Array.isArray(a)) a = a[a.length - 1];
+  if (Array.isArray(b)) b = b[b.length - 1];
+
+  const isEmpty = value => value === null || value === undefined || value === '' || Number.isNaN(value);
+  if (isEmpty(a) || isEmpty(b)) {
+    return isEmpty(a) === isEmpty(b) ? 0 : isEmpty(a) ? 1 : -1;
+  }
+
+  const toNumber = value => {
+    if (typeof value === 'number') return value;
+    const cleaned = String(value).replace(/[\s,$€£¥%]/g, '').replace(/^\((.*)\)$/, '-$1');
+    return cleaned !== '' && isFinite(cleaned) ? Number(cleaned) : null;
+  };
+
+  const numberA = toNumber(a);
+  const numberB = toNumber(b);
+  if (numberA !== null && numberB !== null) {
+    return (numberA - numberB) * direction;
+  }
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' }) * direction;
+}
+
+/**
+ * Icons for conditional formatting
+ * arrows: ▲ above, ▼ below and ▶ between the thresholds (default 0);
+ * trafficLights: ● colored high / middle / low (default thresholds split the column range in thirds)
+ */
+const TABLE_ICON_SETS = {
+  arrows: (value, [low, high], colors) =>
+    value > high ? { icon: '▲', color: colors.positive, label: 'up' } :
+    value < low ? { icon: '▼', color: colors.negative, label: 'down' } :
+    { icon: '▶', color: colors.neutral, label: 'unchanged' },
+  trafficLights: (value, [low, high], colors) =>
+    value >= high ? { icon: '●', color: colors.positive, label: 'high' } :
+    value >= low ? { icon: '●', color: colors.warning, label: 'medium' } :
+    { icon: '●', color: colors.negative, label: 'low' }
+};
+
+/**
+ * Apply one conditional-formatting rule to a table cell
+ * { type: 'threshold', rules: [{ min, max, color, background, bold }] } - first matching range (min inclusive, max exclusive)
+ * { type: 'colorScale', colors, domain } - heat-map background across the column's range
+ * { type: 'icons', set: 'arrows' | 'trafficLights', thresholds, invert } or { type: 'icons', icons: [{ min, icon, color, label }] }
+ * { type: 'delta', invert } - green for positive, red for negative values (invert when lower is better)
+ * All styles are inline, so they survive copying the table as HTML
+ */
+function applyConditionalFormat(cell, value, rule, extent) {
+  if (typeof value !== 'number' || isNaN(value)) return;
+  const theme = activeTheme.table;
+  const colors = rule.invert ?
+    { ...theme, positive: theme.negative, negative: theme.positive } :
+    theme;
+
+  switch (rule.type) {
+    case 'threshold': {
+      const match = (rule.rules || []).find(range =>
+        (range.min === undefined || value >= range.min) && (range.max === undefined || value < range.max));
+      if (!match) return;
+      if (match.color) cell.style('color', match.color);
+      if (match.background) cell.style('background', match.background);
+      if (match.bold) cell.style('font-weight', 'bold');
+      return;
+    }
+
+    case 'colorScale': {
+      const range = rule.colors || theme.colorScale;
+      const [min, max] = extent;
+      const domain = rule.domain || (range.length === 3 ? [min, (min + max) / 2, max] : [min, max]);
+      const background = d3.scaleLinear()
+        .domain(domain)
+        .range(rule.invert ? range.slice().reverse() : range)
+        .clamp(true)(value);
+      cell.style('background', background)
+        // Readable text on dark and light backgrounds alike
+        .style('color', d3.lab(background).l < 55 ? '#fff' : '#111');
+      return;
+    }
+
+    case 'icons': {
+      let match;
+      if (rule.icons) {
+        match = rule.icons
+          .filter(icon => icon.min === undefined || value >= icon.min)
+          .sort((a, b) => (b.min === undefined ? -Infinity : b.min) - (a.min === undefined ? -Infinity : a.min))[0];
+      } else {
+        const set = TABLE_ICON_SETS[rule.set || 'arrows'];
+        if (!set) {
+          console.warn(`Unknown icon set "${rule.set}"`);
+          return;
+        }
+        const [min, max] = extent;
+        const thresholds = rule.thresholds || (rule.set === 'trafficLights' ?
+          [min + (max - min) / 3, min + 2 * (max - min) / 3] :
+          [0, 0]);
+        match = set(value, thresholds, colors);
+      }
+      if (!match) return;
+
+      cell.insert('span', () => cell.node().firstChild)
+        .attr('class', 'cell-icon')
+        .attr('role', 'img')
+        .attr('aria-label', match.label || '')
+        .style('color', match.color || theme.neutral)
+        .style('margin-right', '6px')
+        .text(match.icon);
+      return;
+    }
+
+    case 'delta':
+      if (value !== 0) {
+        cell.style('color', value > 0 ? colors.positive : colors.negative)
+          .style('font-weight', '600');
+      }
+      return;
+
+    default:
+      console.warn(`Unknown conditional format type "${rule.type}"`);
+  }
+}
+
+/**
+ * Inline trend line for a table cell; values is an array of numbers (nulls leave gaps)
+ */
+function appendSparkline(cell, values, options = {}) {
+  if (!Array.isArray(values) || !values.length) return;
+  const { width = 80, height = 20, color = activeTheme.primary } = options;
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+  if (!numbers.length) return;
+
+  const x = d3.scaleLinear().domain([0, Math.max(values.length - 1, 1)]).range([2, width - 2]);
+  const y = d3.scaleLinear().domain(d3.extent(numbers)).range([height - 2, 2]);
+  if (y.domain()[0] === y.domain()[1]) y.domain([y.domain()[0] - 1, y.domain()[1] + 1]);
+  const defined = value => typeof value === 'number' && !isNaN(value);
+
+  // The values stay in the cell as visually hidden text, for the plain-text copy and tableCellText
+  const text = cell.text();
+  cell.text('');
+  if (text) {
+    cell.append('span')
+      .attr('class', 'sparkline-values')
+      .attr('aria-hidden', 'true')
+      .attr('style', VISUALLY_HIDDEN_STYLE)
+      .text(text);
+  }
+  const svg = cell.append('svg')
+    .attr('class', 'table-graphic sparkline')
+    .attr('width', width)
+    .attr('height', height)
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('role', 'img')
+    .attr('aria-label', `Trend from ${formatAccessibleValue(numbers[0])} to ${formatAccessibleValue(numbers[numbers.length - 1])}`)
+    .style('vertical-align', 'middle');
+
+  svg.append('path')
+    .attr('d', d3.line().defined(defined).x((d, i) => x(i)).y(d => y(d))(values))
+    .attr('fill', 'none')
+    .attr('stroke', color)
+    .attr('stroke-width', 1.5);
+
+  // Marker on the latest value
+  const last = values.length - 1;
+  if (defined(values[last])) {
+    svg.append('circle')
+      .attr('cx', x(last))
+      .attr('cy', y(values[last]))
+      .attr('r', 2)
+      .attr('fill', color);
+  }
+}
+
+/**
+ * Horizontal mini-bar before the cell's text, scaled across the column's range (from zero)
+ */
+function appendMiniBar(cell, value, extent, options = {}) {
+  if (typeof value !== 'number' || isNaN(value)) return;
+  const { width = 80, height = 12, color = activeTheme.primary } = options;
+  const [min, max] = options.domain || [Math.min(0, extent[0]), Math.max(0, extent[1])];
+
+  const x = d3.scaleLinear().domain([min, max === min ? min + 1 : max]).range([0, width]).clamp(true);
+  const svg = cell.insert('svg', () => cell.node().firstChild)
+    .attr('class', 'table-graphic mini-bar')
+    .attr('width', width)
+    .attr('height', height)
+    .attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('aria-hidden', 'true')
+    .style('vertical-align', 'middle')
+    .style('margin-right', '6px');
+
+  svg.append('rect')
+    .attr('x', Math.min(x(0), x(value)))
+    .attr('y', 0)
+    .attr('width', Math.max(Math.abs(x(value) - x(0)), 1))
+    .attr('height', height)
+    .attr('fill', value < 0 ? activeTheme.table.negative : color);
+}
+
+// =====================================================
+// KPI TILES
+// =====================================================
+
+const METRIC_TRENDS = {
+  up: { arrow: '▲', spoken: 'Up' },
+  down: { arrow: '▼', spoken: 'Down' },
+  flat: { arrow: '▬', spoken: 'No change,' }
+};
+
+/**
+ * Direction of a change and whether it is good news
+ */
+function metricTrend(delta, higherIsBetter = true) {
+  const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+  const tone = direction === 'flat' ? 'neutral' : (direction === 'up') === higherIsBetter ? 'good' : 'bad';
+  return { direction, tone, ...METRIC_TRENDS[direction] };
+}
+
+/**
+ * Change of a metric against a prior-period or benchmark value
+ * Percentages compare by their difference in points, other values by percent change
+ * Returns { delta, amount, direction, tone, arrow, spoken }, or null when there is nothing to compare
+ */
+function describeMetricChange(value, reference, options = {}) {
+  const { valueType = 'number', higherIsBetter = true, format = formatNumber, pointDecimals = 1 } = options;
+  const isPercentage = valueType === 'percentage' || valueType === 'percent';
+  const isNumber = n => typeof n === 'number' && !isNaN(n);
+  if (!isNumber(value) || !isNumber(reference) || (!isPercentage && reference === 0)) {
+    return null;
+  }
+
+  const delta = isPercentage ? value - reference : (value - reference) / Math.abs(reference) * 100;
+  const amount = isPercentage ?
+    `${format(Math.abs(delta), 'decimal', { decimals: pointDecimals })} pts` :
+    format(Math.abs(delta), 'percentage');
+  return { delta, amount, ...metricTrend(delta, higherIsBetter) };
+}
+
+/**
+ * Row of KPI tiles - value, label, change vs. prior period and/or benchmark, optional sparkline
+ * kpis: [{ label, value, valueType, decimals, compact, previous, previousLabel, benchmark, benchmarkLabel,
+ *          higherIsBetter, trend: [values] }]
+ * Tiles are at least minTileWidth wide and wrap to fit the container
+ */
+function createKpiRow(containerId, kpis, config = {}) {
+  const {
+    minTileWidth = 160,
+    sparklineWidth = 120,
+    sparklineHeight = 32,
+    accessibleTitle = ''
+  } = config;
+
+  const theme = activeTheme;
+  const container = d3.select(`#${containerId}`);
+  const toneColor = tone => tone === 'good' ? theme.report.positive :
+                            tone === 'bad' ? theme.report.negative : theme.report.mutedText;
+  let tiles = [];
+
+  function renderTiles(items) {
+    tiles = items || [];
+    container.selectAll('.kpi-row').remove();
+
+    const row = container.append('div')
+      .attr('class', 'kpi-row')
+      .attr('role', 'list')
+      .attr('aria-label', accessibleTitle || 'Key metrics')
+      .style('display', 'grid')
+      .style('grid-template-columns', `repeat(auto-fit, minmax(${minTileWidth}px, 1fr))`)
+      .style('gap', '16px')
+      .style('font-family', theme.fonts.body);
+
+    tiles.forEach(kpi => {
+      const {
+        label = '',
+        value = null,
+        valueType = 'number',
+        decimals,
+        compact = false,
+        previous = null,
+        previousLabel = 'vs. prior period',
+        benchmark = null,
+        benchmarkLabel = 'vs. benchmark',
+        higherIsBetter = true,
+        trend = null
+      } = kpi;
+
+      const tile = row.append('div')
+        .attr('class', 'kpi-tile')
+        .attr('role', 'listitem')
+        .style('padding', '16px 18px')
+        .style('border', `1px solid ${theme.report.border}`)
+        .style('border-radius', '8px')
+        .style('background', theme.report.surface)
+        .style('box-shadow', theme.report.cardShadow);
+
+      tile.append('div')
+        .attr('class', 'kpi-label')
+        .style('font-size', '0.85rem')
+        .style('color', theme.report.mutedText)
+        .text(label);
+
+      tile.append('div')
+        .attr('class', 'kpi-value')
+        .style('font-size', '2rem')
+        .style('font-weight', '600')
+        .style('line-height', '1.2')
+        .style('color', theme.report.text)
+        .text(typeof value === 'number' && !isNaN(value) ? formatNumber(value, valueType, { decimals, compact }) :
+              value === null || value === undefined ? '—' : String(value));
+
+      const pointDecimals = (activeNumberFormat || DEFAULT_NUMBER_FORMAT).precision.percentage;
+      const comparisons = [[previous, previousLabel], [benchmark, benchmarkLabel]]
+        .map(([reference, text]) => ({
+          change: describeMetricChange(value, reference, { valueType, higherIsBetter, pointDecimals }),
+          text
+        }))
+        .filter(({ change }) => change);
+
+      comparisons.forEach(({ change, text }) => {
+        const line = tile.append('div')
+          .attr('class', `kpi-comparison delta-${change.direction} delta-${change.tone}`)
+          .style('font-size', '0.85rem')
+          .style('margin-top', '4px')
+          .style('color', theme.report.mutedText);
+
+        line.append('span')
+          .attr('class', 'kpi-trend')
+          .style('font-weight', '600')
+          .style('color', toneColor(change.tone))
+          .call(span => span.append('span').attr('aria-hidden', 'true').text(`${change.arrow} `))
+          .call(span => span.append('span').attr('style', VISUALLY_HIDDEN_STYLE).text(`${change.spoken} `))
+          .call(span => span.append('span').text(change.amount));
+
+        if (text) {
+          line.append('span').text(` ${text}`);
+        }
+      });
+
+      if (Array.isArray(trend) && trend.length) {
+        // Line in the color of the headline comparison, so the trend reads the same way
+        const headline = comparisons.length ? comparisons[0].change.tone : 'neutral';
+        appendSparkline(tile.append('div').attr('class', 'kpi-sparkline').style('margin-top', '8px'), trend, {
+          width: sparklineWidth,
+          height: sparklineHeight,
+          color: headline === 'neutral' ? theme.primary : toneColor(headline)
+        });
+      }
+    });
+  }
+
+  renderTiles(kpis);
+
+  // Values, prior-period and benchmark values per KPI, for downloads
+  const getData = () => {
+    const column = key => tiles.map(kpi => (kpi[key] === undefined ? null : kpi[key]));
+    const series = [{ name: 'Value', values: column('value') }];
+    if (tiles.some(kpi => typeof kpi.previous === 'number')) {
+      series.push({ name: 'Prior period', values: column('previous') });
+    }
+    if (tiles.some(kpi => typeof kpi.benchmark === 'number')) {
+      series.push({ name: 'Benchmark', values: column('benchmark') });
+    }
+    return { category: 'Metric', labels: tiles.map(kpi => kpi.label), series };
+  };
+
+  return {
+    container,
+    getData,
+    update: items => {
+      renderTiles(items);
+      return Promise.resolve();
+    }
+  };
 }
 
 /**
  * Right-click copy functionality specifically for tables
  */
-function addRightClickCopyTable(table, containerId) {
+function addRightClickCopyTable(table, containerId, getData = null, title = '') {
+  const theme = activeTheme;
   const contextMenuId = `context-menu-table-${containerId}`;
   
   // Remove existing context menu if it exists
@@ -2108,13 +7473,13 @@ function addRightClickCopyTable(table, containerId) {
     .attr('id', contextMenuId)
     .style('position', 'absolute')
     .style('display', 'none')
-    .style('background', 'white')
-    .style('border', '1px solid #ccc')
+    .style('background', theme.menu.background)
+    .style('border', `1px solid ${theme.menu.border}`)
     .style('border-radius', '4px')
-    .style('box-shadow', '0 2px 8px rgba(0,0,0,0.15)')
+    .style('box-shadow', theme.menu.shadow)
     .style('padding', '8px 0')
     .style('z-index', '1000')
-    .style('font-family', 'Arial, sans-serif')
+    .style('font-family', theme.fonts.ui)
     .style('font-size', '14px')
     .style('min-width', '200px');
 
@@ -2122,145 +7487,167 @@ function addRightClickCopyTable(table, containerId) {
   const copyTableOption = contextMenu.append('div')
     .style('padding', '8px 16px')
     .style('cursor', 'pointer')
-    .style('color', '#333')
+    .style('color', theme.menu.text)
     .html('📋 Copy Table to Clipboard')
     .on('mouseover', function() {
-      d3.select(this).style('background', '#f0f0f0');
+      d3.select(this).style('background', theme.menu.hover);
     })
     .on('mouseout', function() {
-      d3.select(this).style('background', 'white');
+      d3.select(this).style('background', theme.menu.background);
     })
     .on('click', function() {
-      contextMenu.style('display', 'none');
       copyTableToClipboard(table.node(), d3.select(this));
     });
 
   const copyTSVOption = contextMenu.append('div')
     .style('padding', '8px 16px')
     .style('cursor', 'pointer')
-    .style('color', '#333')
+    .style('color', theme.menu.text)
     .html('📊 Copy as Excel Data')
     .on('mouseover', function() {
-      d3.select(this).style('background', '#f0f0f0');
+      d3.select(this).style('background', theme.menu.hover);
     })
     .on('mouseout', function() {
-      d3.select(this).style('background', 'white');
+      d3.select(this).style('background', theme.menu.background);
     })
     .on('click', function() {
-      contextMenu.style('display', 'none');
       copyTableAsTSV(table.node(), d3.select(this));
     });
 
+  // Raw data downloads
+  if (getData) {
+    const fileStem = slugify(title, containerId);
+    appendMenuItem(contextMenu, '📄 Download CSV', () => downloadChartData(getData(), 'csv', fileStem, title));
+    appendMenuItem(contextMenu, '📗 Download .xlsx', () => downloadChartData(getData(), 'xlsx', fileStem, title));
+  }
+
   // Add right-click event to table
   table.on('contextmenu', function(event) {
     event.preventDefault();
-    
-    // Hide any existing context menus
-    d3.selectAll('[id^="context-menu-"]').style('display', 'none');
-    
-    // Show this context menu
-    contextMenu
-      .style('left', (event.pageX) + 'px')
-      .style('top', (event.pageY) + 'px')
-      .style('display', 'block');
+    showContextMenu(contextMenu, event.pageX, event.pageY);
   });
 
-  // Hide context menu when clicking elsewhere
-  document.addEventListener('click', function(event) {
-    if (!contextMenu.node().contains(event.target)) {
-      contextMenu.style('display', 'none');
-    }
-  });
+  addMenuKeyboardSupport(contextMenu, table);
 
-  // Also hide on escape key
-  document.addEventListener('keydown', function(event) {
-    if (event.key === 'Escape') {
-      contextMenu.style('display', 'none');
-    }
-  });
+  // Hide context menu when clicking elsewhere or on Escape
+  addContextMenuDismissal();
 
   return contextMenu;
 }
 
+/**
+ * Table markup for pasting into Office and mail clients
+ * Styles are already inline; sparklines and mini-bars become PNG images because most editors drop inline SVG
+ */
+async function tableClipboardHTML(tableElement) {
+  const clone = tableElement.cloneNode(true);
+  // The sparkline images carry the trend; values are only kept as text for the plain-text copy
+  clone.querySelectorAll('.sort-indicator, .sparkline-values').forEach(node => node.remove());
+  // Every page of a paged table, as in the plain-text copy
+  clone.querySelectorAll('.data-table-offpage').forEach(row => {
+    row.classList.remove('data-table-offpage');
+    row.style.removeProperty('display');
+  });
+  clone.removeAttribute('tabindex');
+  clone.removeAttribute('aria-haspopup');
+
+  const graphics = Array.from(tableElement.querySelectorAll('svg.table-graphic'));
+  const copies = Array.from(clone.querySelectorAll('svg.table-graphic'));
+  await Promise.all(graphics.map(async (svg, i) => {
+    const img = document.createElement('img');
+    const width = svg.getAttribute('width');
+    const height = svg.getAttribute('height');
+    try {
+      const blob = await renderChartImage(svg, { format: 'png', scale: 2, background: null });
+      img.src = await blobToDataURL(blob);
+    } catch (err) {
+      img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(serializeChartSVG(svg).markup);
+    }
+    img.setAttribute('width', width);
+    img.setAttribute('height', height);
+    img.setAttribute('alt', svg.getAttribute('aria-label') || '');
+    img.setAttribute('style', copies[i].getAttribute('style') || '');
+    copies[i].replaceWith(img);
+  }));
+
+  return clone.outerHTML;
+}
+
 async function copyTableToClipboard(tableElement, statusElement) {
+  const theme = activeTheme;
   try {
     // Show loading state
     const originalText = statusElement.html();
     statusElement.html('⏳ Copying...');
     
-    // Extract table data as HTML
-    const tableHTML = tableElement.outerHTML;
+    // Extract table data as HTML - resolved lazily so the clipboard write starts within the click
+    const tableHTML = tableClipboardHTML(tableElement)
+      .then(html => new Blob([html], { type: 'text/html' }));
     
     // Copy to clipboard as HTML
     await navigator.clipboard.write([
       new ClipboardItem({
-        'text/html': new Blob([tableHTML], { type: 'text/html' }),
-        'text/plain': new Blob([tableElement.innerText], { type: 'text/plain' })
+        'text/html': tableHTML,
+        'text/plain': new Blob([tableTSV(tableElement)], { type: 'text/plain' })
       })
     ]);
     
     // Success feedback
     statusElement.html('✅ Copied!')
-      .style('background', '#d4edda')
-      .style('color', '#155724');
+      .style('background', theme.menu.successBackground)
+      .style('color', theme.menu.successText);
     
     setTimeout(() => {
       statusElement.html(originalText)
-        .style('background', 'white')
-        .style('color', '#333');
+        .style('background', theme.menu.background)
+        .style('color', theme.menu.text);
     }, 2000);
     
   } catch (err) {
     console.error('Failed to copy table:', err);
     statusElement.html('❌ Error')
-      .style('background', '#f8d7da')
-      .style('color', '#721c24');
+      .style('background', theme.menu.errorBackground)
+      .style('color', theme.menu.errorText);
     
     setTimeout(() => {
       statusElement.html(originalText)
-        .style('background', 'white')
-        .style('color', '#333');
+        .style('background', theme.menu.background)
+        .style('color', theme.menu.text);
     }, 2000);
   }
 }
 
 async function copyTableAsTSV(tableElement, statusElement) {
+  const theme = activeTheme;
   try {
     // Show loading state
     const originalText = statusElement.html();
     statusElement.html('⏳ Copying...');
     
-    // Extract table data as TSV
-    const rows = Array.from(tableElement.querySelectorAll('tr'));
-    const tsvData = rows.map(row => {
-      const cells = Array.from(row.querySelectorAll('td, th'));
-      return cells.map(cell => cell.textContent.trim()).join('\t');
-    }).join('\n');
-    
     // Copy to clipboard as TSV (Excel-friendly)
-    await navigator.clipboard.writeText(tsvData);
+    await navigator.clipboard.writeText(tableTSV(tableElement));
     
     // Success feedback
     statusElement.html('✅ Copied!')
-      .style('background', '#d4edda')
-      .style('color', '#155724');
+      .style('background', theme.menu.successBackground)
+      .style('color', theme.menu.successText);
     
     setTimeout(() => {
       statusElement.html(originalText)
-        .style('background', 'white')
-        .style('color', '#333');
+        .style('background', theme.menu.background)
+        .style('color', theme.menu.text);
     }, 2000);
     
   } catch (err) {
     console.error('Failed to copy table as TSV:', err);
     statusElement.html('❌ Error')
-      .style('background', '#f8d7da')
-      .style('color', '#721c24');
+      .style('background', theme.menu.errorBackground)
+      .style('color', theme.menu.errorText);
     
     setTimeout(() => {
       statusElement.html(originalText)
-        .style('background', 'white')
-        .style('color', '#333');
+        .style('background', theme.menu.background)
+        .style('color', theme.menu.text);
     }, 2000);
   }
 }